@@ -0,0 +1,169 @@
+// Client authentication: API keys (X-API-Key header), JWTs (Authorization: Bearer) and search stream tokens, the role
+// each client route needs and a per-client rate limit counted in rate_limits, so it holds across instances
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_ROLES = ['admin', 'app'];
+// Stream tokens carry this audience followed by the transaction_id of their stream
+const STREAM_TOKEN_AUDIENCE_PREFIX = 'search-stream:';
+
+// Helper function to hash an API key for storage and lookup; keys are random, so a plain SHA-256 is enough
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Create the client authentication
+// dbQuery(text, params) runs a query on api_keys and rate_limits. adminApiKey is the admin key from the environment,
+// client JWTs are HS256 signed with jwtSecret (and checked against jwtIssuer/jwtAudience when set), stream tokens are
+// signed with streamTokenSecret and last streamTokenTtlSeconds. rateLimitPerMinute applies to every client without a
+// limit of its own, and past rate limit windows are pruned at most once per pruneIntervalMs
+function createClientAuth({
+  dbQuery, adminApiKey, jwtSecret, jwtIssuer, jwtAudience, streamTokenSecret, streamTokenTtlSeconds, rateLimitPerMinute, pruneIntervalMs,
+}) {
+  let rateLimitsPrunedAt = 0;
+
+  // Helper function to build the middleware that authenticates a client request, checks its role and rate limit
+  // The authenticated client is kept in req.principal = { subject, role, rate_limit }
+  function requireClientRole(role) {
+    return async (req, res, next) => {
+      // Already authenticated by a stream token, which was counted against the rate limit when it was issued
+      if (req.principal) {
+        return next();
+      }
+
+      let principal;
+      try {
+        principal = await authenticateClient(req);
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] ${req.originalUrl}: Failed to authenticate client, error=${error.message}`);
+        return res.status(500).json({ error: 'Authentication failed', details: error.message });
+      }
+      if (principal.error) {
+        console.warn(`[${new Date().toISOString()}] ${req.originalUrl}: Rejected client request, ${principal.error}`);
+        res.set('WWW-Authenticate', 'Bearer realm="client"');
+        return res.status(401).json({ error: 'Unauthorized', details: principal.error });
+      }
+      if (role === 'admin' && principal.role !== 'admin') {
+        console.warn(`[${new Date().toISOString()}] ${req.originalUrl}: Rejected ${principal.role} client ${principal.subject}, admin role required`);
+        return res.status(403).json({ error: 'Forbidden', details: 'This route requires the admin role' });
+      }
+
+      try {
+        const { requests, resetAt } = await countClientRequest(principal.subject);
+        res.set({
+          'X-RateLimit-Limit': String(principal.rate_limit),
+          'X-RateLimit-Remaining': String(Math.max(principal.rate_limit - requests, 0)),
+          'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000)),
+        });
+        if (requests > principal.rate_limit) {
+          res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+          return res.status(429).json({ error: 'Too many requests', details: `Rate limit of ${principal.rate_limit} requests per minute exceeded` });
+        }
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] ${req.originalUrl}: Failed to apply the rate limit for ${principal.subject}, error=${error.message}`);
+        return res.status(500).json({ error: 'Authentication failed', details: error.message });
+      }
+
+      req.principal = principal;
+      next();
+    };
+  }
+
+  // Helper function to issue a stream token that opens the results stream of one search for an authenticated client
+  // Returns { token, expiresAt }
+  function issueStreamToken(principal, transactionId) {
+    const token = jwt.sign({ sub: principal.subject, role: principal.role }, streamTokenSecret, {
+      algorithm: 'HS256',
+      audience: `${STREAM_TOKEN_AUDIENCE_PREFIX}${transactionId}`,
+      expiresIn: streamTokenTtlSeconds,
+    });
+    return { token, expiresAt: new Date(Date.now() + streamTokenTtlSeconds * 1000).toISOString() };
+  }
+
+  // Helper function to authenticate a search stream opened with ?token= (see issueStreamToken)
+  // Requests without a token go on to the usual header checks
+  function authenticateStreamToken(req, res, next) {
+    if (!req.query.token) {
+      return next();
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(req.query.token, streamTokenSecret, {
+        algorithms: ['HS256'],
+        audience: `${STREAM_TOKEN_AUDIENCE_PREFIX}${req.params.transaction_id}`,
+      });
+    } catch (error) {
+      console.warn(`[${new Date().toISOString()}] /search/stream: Rejected stream token for transaction_id=${req.params.transaction_id}, ${error.message}`);
+      return res.status(401).json({ error: 'Unauthorized', details: `Invalid stream token, ${error.message}` });
+    }
+    req.principal = { subject: claims.sub, role: claims.role, rate_limit: rateLimitPerMinute };
+    next();
+  }
+
+  // Helper function to identify a client from its X-API-Key or Authorization: Bearer header
+  // Returns { subject, role, rate_limit }, or { error } when the credentials are missing or invalid
+  async function authenticateClient(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      if (adminApiKey && crypto.timingSafeEqual(Buffer.from(hashApiKey(apiKey), 'hex'), Buffer.from(hashApiKey(adminApiKey), 'hex'))) {
+        return { subject: 'ADMIN_API_KEY', role: 'admin', rate_limit: rateLimitPerMinute };
+      }
+      const { rows: [stored] } = await dbQuery(
+        'SELECT id, role, rate_limit_per_minute FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+        [hashApiKey(apiKey)]
+      );
+      if (!stored) {
+        return { error: 'Invalid or revoked API key' };
+      }
+      return { subject: `api_key:${stored.id}`, role: stored.role, rate_limit: stored.rate_limit_per_minute || rateLimitPerMinute };
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return { error: 'Missing credentials, send an API key in X-API-Key or a JWT in Authorization: Bearer' };
+    }
+    if (!jwtSecret) {
+      return { error: 'JWT authentication is not configured' };
+    }
+    let claims;
+    try {
+      claims = jwt.verify(token, jwtSecret, {
+        algorithms: ['HS256'],
+        issuer: jwtIssuer || undefined,
+        audience: jwtAudience || undefined,
+      });
+    } catch (error) {
+      return { error: `Invalid JWT, ${error.message}` };
+    }
+    // A stream token is only good for its stream, even if it was signed with a secret that also signs client JWTs
+    if ([].concat(claims.aud || []).some((audience) => String(audience).startsWith(STREAM_TOKEN_AUDIENCE_PREFIX))) {
+      return { error: 'Invalid JWT, stream tokens only open their search stream' };
+    }
+    if (!claims.sub || !CLIENT_ROLES.includes(claims.role)) {
+      return { error: `JWT must carry a sub and a role claim (${CLIENT_ROLES.join(' or ')})` };
+    }
+    return { subject: `jwt:${claims.sub}`, role: claims.role, rate_limit: rateLimitPerMinute };
+  }
+
+  // Helper function to count a client request in the current one-minute window, shared by every instance
+  // Returns { requests, resetAt } with the requests made in the window so far, this one included
+  async function countClientRequest(subject) {
+    const windowStart = Math.floor(Date.now() / 60000) * 60000;
+    if (Date.now() - rateLimitsPrunedAt > pruneIntervalMs) {
+      rateLimitsPrunedAt = Date.now();
+      await dbQuery('DELETE FROM rate_limits WHERE window_start < $1', [new Date(windowStart)]);
+    }
+    const { rows: [window] } = await dbQuery(
+      `INSERT INTO rate_limits (subject, window_start, requests) VALUES ($1, $2, 1)
+       ON CONFLICT (subject, window_start) DO UPDATE SET requests = rate_limits.requests + 1
+       RETURNING requests`,
+      [subject, new Date(windowStart)]
+    );
+    return { requests: window.requests, resetAt: windowStart + 60000 };
+  }
+
+  return { requireClientRole, authenticateStreamToken, authenticateClient, issueStreamToken };
+}
+
+module.exports = { CLIENT_ROLES, hashApiKey, createClientAuth };
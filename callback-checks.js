@@ -0,0 +1,103 @@
+// Callback checks: the context checks every on_* callback goes through and the ACK/NACK responses it is answered with
+const { parseDurationMs } = require('./durations');
+
+// ONDC errors returned in callback NACKs, from the buyer app range (20000-23999) of the ONDC error codes
+const ONDC_ERRORS = {
+  CONTEXT_ERROR: { type: 'CONTEXT-ERROR', code: '20006' }, // Invalid response
+  SIGNATURE_ERROR: { type: 'POLICY-ERROR', code: '20001' }, // Invalid signature
+  STALE_REQUEST: { type: 'CONTEXT-ERROR', code: '20002' }, // Stale request, arrived after the ttl
+  OUT_OF_SEQUENCE: { type: 'CONTEXT-ERROR', code: '20008' }, // Response out of sequence, no matching request
+  SCHEMA_ERROR: { type: 'JSON-SCHEMA-ERROR', code: '20006' }, // Invalid response, the payload fails its schema
+  DOMAIN_ERROR: { type: 'DOMAIN-ERROR', code: '23002' }, // Order validation failure
+  INTERNAL_ERROR: { type: 'CORE-ERROR', code: '23001' }, // Internal error, BPP may retry
+};
+
+// Callbacks a BPP may send on its own after /confirm (status changes, seller-side updates and cancellations)
+const UNSOLICITED_CALLBACKS = ['on_status', 'on_update', 'on_cancel'];
+
+// Create the callback checks for a subscriber
+// subscriberId and subscriberUrl are the bap_id/bap_uri callbacks must be addressed to (subscriberId also names the
+// realm of the signature challenge sent with 401 NACKs); dbQuery(text, params) runs a query on the messages table
+function createCallbackChecks({ subscriberId, subscriberUrl, dbQuery }) {
+  // Helper function to acknowledge a callback with the standard ONDC ACK
+  function sendAck(res) {
+    return res.status(200).json({ message: { ack: { status: 'ACK' } } });
+  }
+
+  // Helper function to reject a callback with a NACK carrying an ONDC error
+  // Signature failures also get the WWW-Authenticate challenge the spec asks for
+  function sendNack(res, status, ondcError, errorMessage) {
+    if (status === 401) {
+      res.set('WWW-Authenticate', `Signature realm="${subscriberId}",headers="(created) (expires) digest"`);
+    }
+    return res.status(status).json({
+      message: { ack: { status: 'NACK' } },
+      error: { ...ondcError, message: errorMessage },
+    });
+  }
+
+  // Validate a signed callback's context against the request it answers
+  // It must be addressed to us, match the route, and echo the transaction_id/message_id of a request we sent
+  // to that BPP, with the same domain and version, before the request's ttl ran out
+  async function validateCallbackContext(req) {
+    const { context } = req.body;
+    const action = req.path.split('/').pop();
+    const reject = (error, ondcError = ONDC_ERRORS.CONTEXT_ERROR) => ({ status: 400, error, ondcError });
+
+    if (context.bap_id !== subscriberId || context.bap_uri?.replace(/\/$/, '') !== subscriberUrl.replace(/\/$/, '')) {
+      return reject('Context bap_id/bap_uri do not match this buyer app');
+    }
+    if (context.action !== action) {
+      return reject(`Context action ${context.action} does not match ${action}`);
+    }
+    if (!context.transaction_id || !context.message_id) {
+      return reject('Missing transaction_id or message_id in context');
+    }
+
+    const requestAction = action.replace(/^on_/, '');
+    const { rows } = await dbQuery(
+      `SELECT payload FROM messages
+       WHERE direction = 'outbound' AND transaction_id = $1 AND message_id = $2 AND action = $3
+       ORDER BY id DESC LIMIT 1`,
+      [context.transaction_id, context.message_id, requestAction]
+    );
+    let request = rows[0]?.payload;
+
+    // An unsolicited callback has a message_id of its own, so it is checked against the confirmed order with that BPP instead
+    const unsolicited = !request && UNSOLICITED_CALLBACKS.includes(action);
+    if (unsolicited) {
+      const { rows: confirmRows } = await dbQuery(
+        `SELECT payload FROM messages
+         WHERE direction = 'outbound' AND transaction_id = $1 AND action = 'confirm'
+         ORDER BY id DESC LIMIT 1`,
+        [context.transaction_id]
+      );
+      request = confirmRows[0]?.payload;
+    }
+    if (!request) {
+      return reject(`No ${requestAction} request was sent for this transaction_id/message_id`, ONDC_ERRORS.OUT_OF_SEQUENCE);
+    }
+
+    // A search goes out through the gateway to every BPP, every other request to one BPP
+    const sent = request.context;
+    if (requestAction !== 'search' && context.bpp_id !== sent.bpp_id) {
+      return reject(`Context bpp_id ${context.bpp_id} is not the BPP the ${requestAction} request was sent to`);
+    }
+    for (const field of ['domain', 'version', 'core_version']) {
+      if (sent[field] !== undefined && context[field] !== sent[field]) {
+        return reject(`Context ${field} ${context[field]} does not match the request (${sent[field]})`);
+      }
+    }
+
+    const ttl = parseDurationMs(sent.ttl);
+    if (!unsolicited && ttl && Date.now() > Date.parse(sent.timestamp) + ttl) {
+      return reject(`Callback arrived after the ${requestAction} request's ttl of ${sent.ttl}`, ONDC_ERRORS.STALE_REQUEST);
+    }
+
+    return null;
+  }
+
+  return { sendAck, sendNack, validateCallbackContext };
+}
+
+module.exports = { ONDC_ERRORS, UNSOLICITED_CALLBACKS, createCallbackChecks };
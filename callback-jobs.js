@@ -0,0 +1,144 @@
+// Callback jobs: the queue in callback_jobs that verified callbacks, and then each of their hooks, are processed from
+// Workers on every instance claim jobs from the same table; a job runs the handler or hook registered in callbacks.js
+const { callbackHandler, callbackHook, callbackHookNames } = require('./callbacks');
+
+// Create the callback job queue
+// dbQuery(text, params) runs a query on callback_jobs and events is the EventEmitter that emits 'queued' whenever a job
+// is queued on any instance. A failed job is retried after 2s, 4s, 8s... until it has run maxAttempts times, idle workers
+// look for jobs every pollMs, a job running longer than lockMs is taken over, and finished jobs are kept for retentionMs
+// (pruned at most once per pruneIntervalMs)
+function createCallbackJobs({ dbQuery, events, maxAttempts, pollMs, lockMs, retentionMs, pruneIntervalMs }) {
+  let prunedAt = 0;
+
+  // Helper function to queue a verified callback, or one of its hooks, for the callback workers and wake them on every instance
+  async function enqueueCallbackJob(payload, hook = null) {
+    const { context } = payload;
+    const { rows: [job] } = await dbQuery(
+      `INSERT INTO callback_jobs (action, hook, transaction_id, message_id, payload)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [context.action, hook, context.transaction_id, context.message_id, payload]
+    );
+    await dbQuery("SELECT pg_notify('callback_jobs', $1)", [String(job.id)]);
+    return job.id;
+  }
+
+  // Helper function to claim the oldest callback job that can run now, or null when there is none
+  // Jobs of a transaction run one at a time in the order they arrived (on_search catalogs excepted), so e.g. an
+  // on_status never overtakes the on_confirm before it; SKIP LOCKED lets workers on every instance claim side by side
+  async function claimCallbackJob() {
+    if (Date.now() - prunedAt > pruneIntervalMs) {
+      prunedAt = Date.now();
+      await dbQuery("DELETE FROM callback_jobs WHERE status = 'done' AND finished_at < $1", [new Date(Date.now() - retentionMs)]);
+    }
+    const { rows } = await dbQuery(
+      `UPDATE callback_jobs SET status = 'running', attempts = attempts + 1, locked_at = now()
+       WHERE id = (
+         SELECT id FROM callback_jobs job
+         WHERE ((job.status = 'queued' AND job.run_at <= now()) OR (job.status = 'running' AND job.locked_at < $1))
+           AND (job.action = 'on_search' OR NOT EXISTS (
+             SELECT 1 FROM callback_jobs earlier
+             WHERE earlier.transaction_id = job.transaction_id AND earlier.id < job.id AND earlier.status IN ('queued', 'running')
+           ))
+         ORDER BY job.id LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [new Date(Date.now() - lockMs)]
+    );
+    return rows[0] || null;
+  }
+
+  // Helper function to run a claimed callback job: the handler of its action, which then queues a job for each of the
+  // action's hooks, or a single hook. Hook jobs join the end of their transaction's queue, so a callback of the transaction
+  // that arrived while the handler ran (e.g. an on_status right after on_confirm) is processed before these hooks run
+  // A failed job is queued again with a growing delay, or marked failed once it has used up its attempts
+  async function processCallbackJob(job) {
+    const jobName = job.hook ? `${job.action} hook ${job.hook}` : job.action;
+    try {
+      if (job.hook) {
+        const hook = callbackHook(job.action, job.hook);
+        if (!hook) {
+          throw new Error(`No ${job.hook} hook is registered for ${job.action}`);
+        }
+        await hook(job.payload);
+      } else {
+        const handler = callbackHandler(job.action);
+        if (!handler) {
+          throw new Error(`No handler is registered for ${job.action}`);
+        }
+        await handler.process(job.payload);
+        for (const hookName of callbackHookNames(job.action)) {
+          await enqueueCallbackJob(job.payload, hookName);
+        }
+      }
+      await dbQuery("UPDATE callback_jobs SET status = 'done', finished_at = now() WHERE id = $1", [job.id]);
+    } catch (error) {
+      try {
+        if (job.attempts >= maxAttempts) {
+          console.error(`[${new Date().toISOString()}] processCallbackJob: ${jobName} job id=${job.id} failed after ${job.attempts} attempt(s), error=${error.message}`);
+          await dbQuery("UPDATE callback_jobs SET status = 'failed', last_error = $2, finished_at = now() WHERE id = $1", [job.id, error.message]);
+        } else {
+          const delay = 1000 * 2 ** job.attempts;
+          console.warn(`[${new Date().toISOString()}] processCallbackJob: ${jobName} job id=${job.id} failed on attempt ${job.attempts}, retrying in ${delay}ms, error=${error.message}`);
+          await dbQuery("UPDATE callback_jobs SET status = 'queued', last_error = $2, run_at = $3 WHERE id = $1", [job.id, error.message, new Date(Date.now() + delay)]);
+        }
+      } catch (dbError) {
+        // The job stays running and is taken over once its lock expires
+        console.error(`[${new Date().toISOString()}] processCallbackJob: Failed to record the outcome of job id=${job.id}, error=${dbError.message}`);
+      }
+    }
+    // A finished job may unblock the next job of its transaction
+    events.emit('queued');
+  }
+
+  // Helper function to wait until a callback job is queued or the poll interval passes (for retries and expired locks)
+  function waitForCallbackJob() {
+    return new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        events.off('queued', wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, pollMs);
+      events.once('queued', wake);
+    });
+  }
+
+  // Helper function to run one callback worker: claim a job, process it, repeat; idle workers wait to be woken
+  async function runCallbackWorker() {
+    for (;;) {
+      let job = null;
+      try {
+        job = await claimCallbackJob();
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] runCallbackWorker: Failed to claim a callback job, error=${error.message}`);
+      }
+      if (job) {
+        await processCallbackJob(job);
+      } else {
+        await waitForCallbackJob();
+      }
+    }
+  }
+
+  // Helper function to process the jobs that can run now, one at a time, until there are none left or maxMs has passed
+  // For runtimes that freeze between requests, where the workers can't run (see the /cron/callback-jobs route)
+  // Returns the number of jobs processed
+  async function drainCallbackJobs(maxMs) {
+    const deadline = Date.now() + maxMs;
+    let processed = 0;
+    while (Date.now() < deadline) {
+      const job = await claimCallbackJob();
+      if (!job) {
+        break;
+      }
+      await processCallbackJob(job);
+      processed++;
+    }
+    return processed;
+  }
+
+  return { enqueueCallbackJob, claimCallbackJob, processCallbackJob, runCallbackWorker, drainCallbackJobs };
+}
+
+module.exports = { createCallbackJobs };
@@ -0,0 +1,69 @@
+// Callback registry: the handler of every on_* action and the business hooks that run after it
+// server.js runs every callback through one pipeline (parse → verify signature → validate context → ACK → dispatch)
+// and looks its action up here, so a new action only needs a handler and business logic such as "on on_confirm,
+// issue an internal booking" only needs a hook file in hooks/, never a change to the routing code
+const fs = require('fs');
+const path = require('path');
+
+const handlers = new Map();
+const hooks = new Map();
+
+// Register the handler of a callback action
+// validate(body) runs before the ACK and returns an error message to NACK the callback with, or null; keep it cheap
+// process(body) runs afterwards on a callback worker and does the actual work; throwing retries it later
+function registerCallbackHandler(action, { description, validate = () => null, process }) {
+  if (handlers.has(action)) {
+    throw new Error(`A callback handler for ${action} is already registered`);
+  }
+  handlers.set(action, { action, description, validate, process });
+}
+
+// Register a business hook that runs once the handler of an action has processed a callback
+// Every hook runs as a callback job of its own: a failing hook is retried without running the handler or the other
+// hooks again, but a job can still run twice after a crash, so a hook must be safe to repeat (e.g. key on message_id)
+function registerCallbackHook(action, name, hook) {
+  if (!hooks.has(action)) {
+    hooks.set(action, new Map());
+  }
+  if (hooks.get(action).has(name)) {
+    throw new Error(`A callback hook named ${name} is already registered for ${action}`);
+  }
+  hooks.get(action).set(name, hook);
+}
+
+// Helper function to get the handler of an action, or null when the action isn't handled
+function callbackHandler(action) {
+  return handlers.get(action) || null;
+}
+
+// Helper function to get a hook by action and name, or null when it isn't registered (any more)
+function callbackHook(action, name) {
+  return hooks.get(action)?.get(name) || null;
+}
+
+// Helper function to list the hook names of an action, in the order they were registered
+function callbackHookNames(action) {
+  return [...(hooks.get(action)?.keys() || [])];
+}
+
+// Load the hook files (*.js, except *.example.js) of a directory in name order; each registers its hooks when required
+// Returns the file names loaded
+function loadCallbackHooks(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = fs.readdirSync(dir).filter((file) => file.endsWith('.js') && !file.endsWith('.example.js')).sort();
+  for (const file of files) {
+    require(path.join(dir, file));
+  }
+  return files;
+}
+
+module.exports = {
+  registerCallbackHandler,
+  registerCallbackHook,
+  callbackHandler,
+  callbackHook,
+  callbackHookNames,
+  loadCallbackHooks,
+};
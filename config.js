@@ -0,0 +1,112 @@
+// Environment profiles (staging, preprod, prod) bundling the ONDC network endpoints and our subscriber details
+// Profiles live in config/environments.json and are checked against config/environments.schema.json
+// The profile is picked at startup with ONDC_ENV or --env <name> (default preprod); any field can still be
+// overridden by its environment variable below, so deployments configured through env vars keep working
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const profiles = require('./config/environments.json');
+const profileSchema = require('./config/environments.schema.json');
+
+const DEFAULT_PROFILE = 'preprod';
+
+// Profile field -> environment variable that overrides it
+const ENV_OVERRIDES = {
+  'registry.subscribe_url': 'ONDC_SUBSCRIBE_URL',
+  'registry.lookup_url': 'ONDC_LOOKUP_URL',
+  'gateway_url': 'ONDC_GATEWAY_URL',
+  'ondc_public_key': 'ONDC_PUBLIC_KEY',
+  'subscriber.subscriber_id': 'SUBSCRIBER_ID',
+  'subscriber.subscriber_url': 'SUBSCRIBER_URL',
+  'subscriber.callback_url': 'CALLBACK_URL',
+  'subscriber.unique_key_id': 'UNIQUE_KEY_ID',
+  'subscriber.request_id': 'REQUEST_ID',
+  'subscriber.domain': 'DOMAIN',
+  'subscriber.country': 'COUNTRY',
+  'subscriber.city_code': 'CITY_CODE',
+  'subscriber.email_id': 'EMAIL_ID',
+  'subscriber.mobile_no': 'MOBILE_NO',
+  'subscriber.pan_no': 'PAN_NO',
+  'subscriber.pan_name': 'PAN_NAME',
+  'subscriber.pan_date_of_incorporation': 'PAN_DATE_OF_INCORPORATION',
+  'subscriber.name_of_authorised_signatory': 'NAME_OF_AUTHORISED_SIGNATORY',
+  'subscriber.address_of_authorised_signatory': 'ADDRESS_OF_AUTHORISED_SIGNATORY',
+  'subscriber.legal_entity_name': 'LEGAL_ENTITY_NAME',
+  'subscriber.business_address': 'BUSINESS_ADDRESS',
+  'subscriber.gst_no': 'GST_NO',
+};
+
+// Secrets are never kept in the profile file and must come from the environment
+// (signing and encryption keys are checked by keys.js, which derives their public keys)
+const REQUIRED_SECRETS = ['DATABASE_URL'];
+
+const ajv = new Ajv({ allErrors: true, verbose: true });
+addFormats(ajv);
+const validateProfile = ajv.compile(profileSchema);
+
+// Helper function to read the selected profile name from --env <name>, --env=<name> or ONDC_ENV
+function selectedProfileName(argv = process.argv, env = process.env) {
+  const index = argv.findIndex((arg) => arg === '--env' || arg.startsWith('--env='));
+  if (index !== -1) {
+    return argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+  }
+  return env.ONDC_ENV || DEFAULT_PROFILE;
+}
+
+// Load a profile, apply environment overrides and validate it
+// Returns { name, config, overrides, errors }: the environment variables that were applied, and one readable
+// line per missing or invalid field
+function loadConfig(name = selectedProfileName()) {
+  if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+    return {
+      name,
+      config: null,
+      overrides: [],
+      errors: [`ONDC_ENV: unknown environment profile "${name}", expected one of ${Object.keys(profiles).join(', ')}`],
+    };
+  }
+
+  const config = JSON.parse(JSON.stringify(profiles[name]));
+  const overrides = [];
+  for (const [field, envVar] of Object.entries(ENV_OVERRIDES)) {
+    const [section, key] = field.includes('.') ? field.split('.') : [null, field];
+    const target = section ? (config[section] = config[section] || {}) : config;
+    if (process.env[envVar]) {
+      target[key] = process.env[envVar];
+      overrides.push(envVar);
+    } else if (target[key] === '') {
+      // Empty placeholders in the profile file count as missing
+      delete target[key];
+    }
+  }
+
+  const errors = [];
+  if (!validateProfile(config)) {
+    for (const error of validateProfile.errors) {
+      // if/then failures are already reported by the keyword that failed inside "then"
+      if (error.keyword === 'if') {
+        continue;
+      }
+      const segments = error.instancePath.split('/').slice(1);
+      if (error.keyword === 'required') {
+        segments.push(error.params.missingProperty);
+      }
+      const field = segments.join('.');
+      const source = `set it under "${name}" in config/environments.json${ENV_OVERRIDES[field] ? ` or with ${ENV_OVERRIDES[field]}` : ''}`;
+      if (error.keyword === 'required') {
+        errors.push(`${field}: missing, ${source}`);
+      } else {
+        errors.push(`${field}: ${error.parentSchema.description || error.message}, got ${JSON.stringify(error.data)} (${source})`);
+      }
+    }
+  }
+  for (const secret of REQUIRED_SECRETS) {
+    if (!process.env[secret]) {
+      errors.push(`${secret}: missing environment variable`);
+    }
+  }
+
+  // A field can fail more than one keyword (e.g. format and pattern); report it once
+  return { name, config, overrides, errors: errors.filter((error, index) => errors.findIndex((other) => other.split(':')[0] === error.split(':')[0]) === index) };
+}
+
+module.exports = { loadConfig, selectedProfileName, PROFILE_NAMES: Object.keys(profiles) };
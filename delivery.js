@@ -0,0 +1,91 @@
+// Outbound delivery: sending signed messages to the gateway or a BPP, with retries and a dead letter when they fail
+const axios = require('axios');
+const { parseDurationMs } = require('./durations');
+
+// Create the outbound delivery
+// dbQuery(text, params) runs a query on the dead_letters table, sign(body) returns the Authorization header for a body,
+// retryBaseMs is the first retry delay (doubled on every attempt) and timeoutMs caps each attempt
+function createDelivery({ dbQuery, sign, retryBaseMs, timeoutMs }) {
+  // Helper function to deliver a signed message to the gateway or a BPP
+  // Connection errors, timeouts, 429 and 5xx responses are retried with exponential backoff while the message's ttl
+  // lasts, signing every attempt again so its created/expires stay fresh. A message that can't be delivered is parked
+  // in dead_letters (or its dead letter updated, when replaying one) and the last error is thrown with deadLetterId set
+  async function deliverMessage(url, payload, { deadLetterId = null } = {}) {
+    const { action, timestamp, ttl } = payload.context;
+    const body = JSON.stringify(payload);
+    const deadline = Date.parse(timestamp) + (parseDurationMs(ttl) || parseDurationMs('PT30S'));
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const authHeader = await sign(body);
+        const response = await axios.post(url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: authHeader,
+          },
+          timeout: Math.max(Math.min(timeoutMs, deadline - Date.now()), 1000),
+        });
+        if (attempt > 1) {
+          console.log(`[${new Date().toISOString()}] deliverMessage: ${action} delivered to ${url} on attempt ${attempt}`);
+        }
+        if (deadLetterId) {
+          await dbQuery(
+            "UPDATE dead_letters SET status = 'delivered', attempts = attempts + $2, updated_at = now(), delivered_at = now() WHERE id = $1",
+            [deadLetterId, attempt]
+          );
+        }
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !error.response || status === 429 || status >= 500;
+        const delay = retryBaseMs * 2 ** (attempt - 1) + Math.floor(Math.random() * retryBaseMs);
+        if (retryable && Date.now() + delay < deadline) {
+          console.warn(`[${new Date().toISOString()}] deliverMessage: ${action} to ${url} failed on attempt ${attempt} (${status || error.code || error.message}), retrying in ${delay}ms`);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          continue;
+        }
+
+        console.error(`[${new Date().toISOString()}] deliverMessage: Giving up on ${action} to ${url} after ${attempt} attempt(s), error=${error.message}`);
+        error.deadLetterId = await parkDeadLetter(url, payload, attempt, error, deadLetterId);
+        throw error;
+      }
+    }
+  }
+
+  // Helper function to store an undeliverable message in dead_letters, or update the dead letter being replayed
+  // Returns the dead letter id, or undefined when it could not be stored
+  async function parkDeadLetter(url, payload, attempts, error, deadLetterId) {
+    const lastError = error.response?.data ?? { error: error.message };
+    try {
+      if (deadLetterId) {
+        await dbQuery(
+          'UPDATE dead_letters SET payload = $2, attempts = attempts + $3, last_status = $4, last_error = $5, updated_at = now() WHERE id = $1',
+          [deadLetterId, JSON.stringify(payload), attempts, error.response?.status, JSON.stringify(lastError)]
+        );
+        return deadLetterId;
+      }
+      const { rows: [deadLetter] } = await dbQuery(
+        `INSERT INTO dead_letters (action, url, transaction_id, message_id, payload, attempts, last_status, last_error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+        [
+          payload.context.action,
+          url,
+          payload.context.transaction_id,
+          payload.context.message_id,
+          JSON.stringify(payload),
+          attempts,
+          error.response?.status,
+          JSON.stringify(lastError),
+        ]
+      );
+      return deadLetter.id;
+    } catch (dbError) {
+      console.error(`[${new Date().toISOString()}] parkDeadLetter: Failed to park ${payload.context.action} message_id=${payload.context.message_id}, error=${dbError.message}`);
+      return undefined;
+    }
+  }
+
+  return { deliverMessage, parkDeadLetter };
+}
+
+module.exports = { createDelivery };
@@ -0,0 +1,49 @@
+// Onboarding self-check command: runs GET /doctor on a running server and prints its pass/fail checklist
+// Usage: node doctor.js [--url http://localhost:3000] [--api-key <admin key>]   (exits with 1 when a check fails)
+// /doctor is an admin route: the key defaults to ADMIN_API_KEY
+require('dotenv').config({ quiet: true });
+const axios = require('axios');
+
+// Helper function to read the value of a --name <value> or --name=<value> argument
+function argValue(argv, name) {
+  const index = argv.findIndex((arg) => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) {
+    return undefined;
+  }
+  return argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const baseUrl = (argValue(argv, '--url') || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  const apiKey = argValue(argv, '--api-key') || process.env.ADMIN_API_KEY;
+
+  let report;
+  try {
+    // 503 carries the report of a failed check too
+    const response = await axios.get(`${baseUrl}/doctor`, {
+      headers: apiKey ? { 'X-API-Key': apiKey } : {},
+      timeout: 30000,
+      validateStatus: (status) => status === 200 || status === 503,
+    });
+    report = response.data;
+  } catch (error) {
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      console.error(`Error: ${baseUrl}/doctor needs an admin API key, pass --api-key or set ADMIN_API_KEY (${error.response.data.details})`);
+      return 1;
+    }
+    console.error(`Error: could not run the checks on ${baseUrl}, is the server running? (${error.message})`);
+    return 1;
+  }
+
+  console.log(`Onboarding checks for ${report.subscriber_id} (${report.environment}, unique_key_id ${report.unique_key_id})`);
+  for (const check of report.checks) {
+    console.log(`  [${check.status === 'pass' ? 'PASS' : 'FAIL'}] ${check.name}: ${check.details}`);
+  }
+  const failed = report.checks.filter((check) => check.status === 'fail').length;
+  console.log(failed ? `${failed} of ${report.checks.length} checks failed` : `All ${report.checks.length} checks passed`);
+  return failed ? 1 : 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,14 @@
+// ISO 8601 durations, as in the ttl of an ONDC context
+
+// Helper function to convert an ISO 8601 duration such as a context ttl (e.g. PT30S, P1D) to milliseconds
+// Returns 0 for anything that isn't a duration
+function parseDurationMs(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(duration || '');
+  if (!match) {
+    return 0;
+  }
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return (((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+}
+
+module.exports = { parseDurationMs };
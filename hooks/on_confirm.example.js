@@ -0,0 +1,17 @@
+// Example business hook: copy this file to hooks/<name>.js (without .example) to load it at startup
+// Hooks receive the verified callback body ({ context, message }) after its handler has processed it
+const axios = require('axios');
+const { registerCallbackHook } = require('../callbacks');
+
+// On on_confirm, issue an internal booking for the confirmed order
+registerCallbackHook('on_confirm', 'internal-booking', async ({ context, message }) => {
+  await axios.post(process.env.INTERNAL_BOOKING_URL, {
+    order_id: message.order.id,
+    transaction_id: context.transaction_id,
+    items: message.order.items,
+    quote: message.order.quote,
+  }, {
+    // The BPP's message_id makes a repeated run of this hook safe on the booking side
+    headers: { 'Idempotency-Key': context.message_id },
+  });
+});
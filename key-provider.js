@@ -0,0 +1,164 @@
+// Key provider: the one module that holds the subscriber's private keys
+// Keys are loaded once at startup from the encrypted keystore (keystore.js) when KEYSTORE_PASSPHRASE is set, otherwise
+// from the plaintext *_PRIVATE_KEY environment variables (keys.js); either way the secrets are then removed from process.env
+// Everything that signs or decrypts goes through the functions exported here, so callers only ever see public keys
+const crypto = require('crypto');
+const _sodium = require('libsodium-wrappers');
+const { createAuthorizationHeader: createSignedHeader } = require('ondc-crypto-sdk-nodejs');
+const { loadKeySets, keystoreEnv } = require('./keys');
+const { keystorePath, readKeystore, openKeystore } = require('./keystore');
+
+const PLAINTEXT_KEY_VARS = [
+  'SIGNING_PRIVATE_KEY', 'ENCRYPTION_PRIVATE_KEY', 'PREVIOUS_SIGNING_PRIVATE_KEY', 'PREVIOUS_ENCRYPTION_PRIVATE_KEY',
+];
+const KEYSTORE_VARS = ['KEYSTORE_PASSPHRASE', 'KEYSTORE'];
+
+let subscriberId = null;
+let currentKeys = null;
+let previousKeys = null;
+let sharedKeys = [];
+
+// Helper function to keep the public part of a key set
+function publicView(keySet) {
+  if (!keySet) {
+    return null;
+  }
+  const { unique_key_id, signing_public_key, encryption_public_key, valid_until } = keySet;
+  return valid_until
+    ? { unique_key_id, signing_public_key, encryption_public_key, valid_until }
+    : { unique_key_id, signing_public_key, encryption_public_key };
+}
+
+// Helper function to remove the private keys and the keystore passphrase from the environment once the keys are loaded,
+// so nothing that reads process.env later (child processes, error reports) can see them
+function removeSecrets(env) {
+  for (const name of [...PLAINTEXT_KEY_VARS, ...KEYSTORE_VARS]) {
+    delete env[name];
+  }
+}
+
+// Load the key sets and derive the registry shared keys
+// Returns { source, current, previous, warnings, errors } with only public keys in current and previous
+function loadKeyProvider({ subscriberId: ownSubscriberId, uniqueKeyId, ondcPublicKey, env = process.env }) {
+  const warnings = [];
+  let source;
+  let keySets;
+  if (env.KEYSTORE_PASSPHRASE) {
+    // KEYSTORE holds the sealed document itself (see keystore.js)
+    source = env.KEYSTORE ? 'KEYSTORE' : keystorePath(env);
+    try {
+      const contents = env.KEYSTORE
+        ? openKeystore(JSON.parse(env.KEYSTORE), env.KEYSTORE_PASSPHRASE)
+        : readKeystore(source, env.KEYSTORE_PASSPHRASE);
+      keySets = loadKeySets({ env: keystoreEnv(contents) });
+    } catch (error) {
+      removeSecrets(env);
+      return { source, current: null, previous: null, warnings, errors: [`${source}: ${error.message}`] };
+    }
+    if (PLAINTEXT_KEY_VARS.some((name) => env[name])) {
+      warnings.push('*_PRIVATE_KEY environment variables are ignored while a keystore is used; remove them');
+    }
+    if (keySets.current && uniqueKeyId && uniqueKeyId !== keySets.current.unique_key_id) {
+      warnings.push(`UNIQUE_KEY_ID ${uniqueKeyId} differs from the keystore, using ${keySets.current.unique_key_id}`);
+    }
+  } else {
+    source = 'environment';
+    keySets = loadKeySets({ uniqueKeyId, env });
+    if (keySets.current && !keySets.current.unique_key_id) {
+      keySets.errors.push('UNIQUE_KEY_ID: missing, set it in config/environments.json or the environment (a keystore holds it)');
+    }
+    warnings.push('private keys are read from plaintext environment variables; move them into an encrypted keystore with `npm run keys -- import`');
+  }
+  removeSecrets(env);
+  if (keySets.errors.length) {
+    return { source, current: null, previous: null, warnings, errors: keySets.errors };
+  }
+
+  try {
+    const registryPublicKey = crypto.createPublicKey({
+      key: Buffer.from(ondcPublicKey, 'base64'),
+      format: 'der',
+      type: 'spki',
+    });
+    // One shared key per key set, current first, so a challenge for either can be answered during a rotation
+    sharedKeys = [keySets.current, keySets.previous].filter(Boolean).map((keySet) => ({
+      unique_key_id: keySet.unique_key_id,
+      key: crypto.diffieHellman({
+        privateKey: crypto.createPrivateKey({
+          key: Buffer.from(keySet.encryption_private_key, 'base64'),
+          format: 'der',
+          type: 'pkcs8',
+        }),
+        publicKey: registryPublicKey,
+      }),
+    }));
+  } catch (error) {
+    return { source, current: null, previous: null, warnings, errors: [`ONDC_PUBLIC_KEY: cannot derive the registry shared key, ${error.message}`] };
+  }
+
+  subscriberId = ownSubscriberId;
+  currentKeys = keySets.current;
+  previousKeys = keySets.previous;
+  return { source, current: publicView(currentKeys), previous: publicView(previousKeys), warnings, errors: [] };
+}
+
+// Helper function to fail loudly when a key is used before loadKeyProvider succeeded
+function requireKeys() {
+  if (!currentKeys) {
+    throw new Error('Key provider is not loaded');
+  }
+  return currentKeys;
+}
+
+// Public keys of the current key set, and of the previous one during a rotation
+function publicKeys() {
+  return { ...publicView(requireKeys()), previous: publicView(previousKeys) };
+}
+
+// Build the ONDC Authorization header for a request body with the current signing key
+function createAuthorizationHeader(body) {
+  const keys = requireKeys();
+  return createSignedHeader({
+    body,
+    privateKey: keys.signing_private_key,
+    subscriberId,
+    subscriberUniqueKeyId: keys.unique_key_id,
+  });
+}
+
+// Sign a message with the current signing key (Ed25519), e.g. the request_id for site verification
+async function signMessage(signingString) {
+  const keys = requireKeys();
+  await _sodium.ready;
+  const sodium = _sodium;
+  const signedMessage = sodium.crypto_sign_detached(
+    signingString,
+    sodium.from_base64(keys.signing_private_key, sodium.base64_variants.ORIGINAL),
+  );
+  return sodium.to_base64(signedMessage, sodium.base64_variants.ORIGINAL);
+}
+
+// Decrypt a registry challenge (AES-256-ECB under the shared key) with the current key, or the previous one during
+// a rotation; returns { answer, unique_key_id } of the key that worked
+function decryptChallenge(challenge) {
+  requireKeys();
+  for (const sharedKey of sharedKeys) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-ecb', sharedKey.key, Buffer.alloc(0)); // ECB doesn't use IV
+      const answer = decipher.update(challenge, 'base64', 'utf8') + decipher.final('utf8');
+      return { answer, unique_key_id: sharedKey.unique_key_id };
+    } catch (error) {
+      // Wrong key: the padding check fails, try the next one
+    }
+  }
+  throw new Error('Failed to decrypt challenge');
+}
+
+// Encrypt a challenge for the current key the way the registry does, so the onboarding self-check can round-trip one
+function encryptChallenge(plaintext) {
+  requireKeys();
+  const cipher = crypto.createCipheriv('aes-256-ecb', sharedKeys[0].key, Buffer.alloc(0));
+  return cipher.update(plaintext, 'utf8', 'base64') + cipher.final('base64');
+}
+
+module.exports = { loadKeyProvider, publicKeys, createAuthorizationHeader, signMessage, decryptChallenge, encryptChallenge };
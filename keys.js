@@ -0,0 +1,295 @@
+// Subscriber key sets: an Ed25519 signing key pair and an X25519 encryption key pair registered under one unique_key_id
+// Public keys are always derived from the private keys, so a public key set by hand can't drift from its private key
+// During a rotation the previous key set stays loaded (PREVIOUS_* variables) until PREVIOUS_KEY_VALID_UNTIL, so
+// registry challenges encrypted for either key can be answered while the new key is being registered
+//
+// Usage:
+//   node keys.js generate                                      print a new key set as environment variables
+//   node keys.js import                                        move the key sets from the environment into the keystore
+//   node keys.js rotate [--env-file .env] [--overlap-days 7]   replace the current key set, keeping it as the previous one
+// With KEYSTORE_PASSPHRASE set, generate and rotate write the encrypted keystore (keystore.js) instead
+// To deploy without the file (e.g. on Vercel), set KEYSTORE to the contents of keystore.json
+const crypto = require('crypto');
+const fs = require('fs');
+const { keystorePath, readKeystore, writeKeystore } = require('./keystore');
+
+const DEFAULT_OVERLAP_DAYS = 7;
+
+// DER prefix of a PKCS#8 private key wrapping a raw 32 byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Environment variable -> key set field, for the current and the previous key set
+const KEY_ENV_VARS = {
+  unique_key_id: 'UNIQUE_KEY_ID',
+  signing_private_key: 'SIGNING_PRIVATE_KEY',
+  signing_public_key: 'SIGNING_PUBLIC_KEY',
+  encryption_private_key: 'ENCRYPTION_PRIVATE_KEY',
+  encryption_public_key: 'ENCRYPTION_PUBLIC_KEY',
+};
+
+// Helper function to derive the base64 Ed25519 public key from a signing private key
+// The private key is the 64 byte libsodium secret key (seed + public key) the ONDC SDK signs with; a bare 32 byte
+// seed is accepted too. For a 64 byte key the embedded public key must match the one derived from the seed
+function deriveSigningPublicKey(signingPrivateKey) {
+  const raw = Buffer.from(signingPrivateKey, 'base64');
+  if (raw.length !== 64 && raw.length !== 32) {
+    throw new Error(`signing private key must be 32 or 64 bytes of base64, got ${raw.length} bytes`);
+  }
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, raw.subarray(0, 32)]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+  const publicKey = Buffer.from(crypto.createPublicKey(privateKey).export({ format: 'jwk' }).x, 'base64url');
+  if (raw.length === 64 && !publicKey.equals(raw.subarray(32))) {
+    throw new Error('signing private key is corrupt: its embedded public key does not belong to its seed');
+  }
+  return publicKey.toString('base64');
+}
+
+// Helper function to derive the base64 DER (SPKI) X25519 public key from a base64 DER (PKCS#8) encryption private key
+function deriveEncryptionPublicKey(encryptionPrivateKey) {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(encryptionPrivateKey, 'base64'),
+    format: 'der',
+    type: 'pkcs8',
+  });
+  if (privateKey.asymmetricKeyType !== 'x25519') {
+    throw new Error(`encryption private key must be an X25519 key, got ${privateKey.asymmetricKeyType}`);
+  }
+  return crypto.createPublicKey(privateKey).export({ format: 'der', type: 'spki' }).toString('base64');
+}
+
+// Generate a new key set with a fresh unique_key_id
+function generateKeySet() {
+  const signing = crypto.generateKeyPairSync('ed25519');
+  const { d, x } = signing.privateKey.export({ format: 'jwk' });
+  const encryption = crypto.generateKeyPairSync('x25519');
+  return {
+    unique_key_id: crypto.randomUUID(),
+    signing_private_key: Buffer.concat([Buffer.from(d, 'base64url'), Buffer.from(x, 'base64url')]).toString('base64'),
+    signing_public_key: Buffer.from(x, 'base64url').toString('base64'),
+    encryption_private_key: encryption.privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'),
+    encryption_public_key: encryption.publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
+  };
+}
+
+// Helper function to read one key set from the environment, deriving its public keys
+// A public key variable is optional; when it is set it must match the key derived from its private key
+function readKeySet(env, prefix, errors) {
+  const get = (field) => env[`${prefix}${KEY_ENV_VARS[field]}`];
+  if (!get('signing_private_key') && !get('encryption_private_key')) {
+    return null;
+  }
+
+  const keySet = { unique_key_id: get('unique_key_id') };
+  const derive = (kind, deriveKey) => {
+    const privateVar = `${prefix}${KEY_ENV_VARS[`${kind}_private_key`]}`;
+    const publicVar = `${prefix}${KEY_ENV_VARS[`${kind}_public_key`]}`;
+    if (!env[privateVar]) {
+      errors.push(`${privateVar}: missing environment variable`);
+      return;
+    }
+    try {
+      keySet[`${kind}_private_key`] = env[privateVar];
+      keySet[`${kind}_public_key`] = deriveKey(env[privateVar]);
+    } catch (error) {
+      errors.push(`${privateVar}: ${error.message}`);
+      return;
+    }
+    if (env[publicVar] && env[publicVar] !== keySet[`${kind}_public_key`]) {
+      errors.push(`${publicVar}: does not match the public key of ${privateVar} (${keySet[`${kind}_public_key`]}); remove it or fix the key pair`);
+    }
+  };
+  derive('signing', deriveSigningPublicKey);
+  derive('encryption', deriveEncryptionPublicKey);
+  return keySet;
+}
+
+// Load the current key set and, during a rotation, the previous one
+// Returns { current, previous, errors }; previous is null when there is none or its overlap has ended
+function loadKeySets({ uniqueKeyId, env = process.env } = {}) {
+  const errors = [];
+  const current = readKeySet(env, '', errors);
+  if (!current) {
+    errors.push('SIGNING_PRIVATE_KEY: missing environment variable', 'ENCRYPTION_PRIVATE_KEY: missing environment variable');
+  } else {
+    current.unique_key_id = uniqueKeyId || current.unique_key_id;
+  }
+
+  let previous = readKeySet(env, 'PREVIOUS_', errors);
+  if (previous) {
+    const validUntil = Date.parse(env.PREVIOUS_KEY_VALID_UNTIL);
+    if (!previous.unique_key_id) {
+      errors.push('PREVIOUS_UNIQUE_KEY_ID: missing environment variable');
+    } else if (Number.isNaN(validUntil)) {
+      errors.push(`PREVIOUS_KEY_VALID_UNTIL: must be an ISO 8601 timestamp, got ${JSON.stringify(env.PREVIOUS_KEY_VALID_UNTIL)}`);
+    } else if (previous.unique_key_id === current?.unique_key_id) {
+      errors.push('PREVIOUS_UNIQUE_KEY_ID: must differ from UNIQUE_KEY_ID, a rotated key set needs a new unique_key_id');
+    } else if (validUntil < Date.now()) {
+      previous = null;
+    } else {
+      previous.valid_until = new Date(validUntil).toISOString();
+    }
+  }
+
+  return { current, previous, errors };
+}
+
+// Helper function to render a key set as environment variable lines
+function keySetEnvLines(keySet, prefix = '') {
+  return Object.entries(KEY_ENV_VARS).map(([field, envVar]) => `${prefix}${envVar}=${keySet[field]}`);
+}
+
+// Helper function to set (or add) variables in a dotenv file, leaving every other line as it is
+function updateEnvFile(file, lines) {
+  const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const fileLines = content ? content.split(/\r?\n/) : [];
+  for (const line of lines) {
+    const name = line.slice(0, line.indexOf('='));
+    const index = fileLines.findIndex((fileLine) => fileLine.startsWith(`${name}=`));
+    if (index === -1) {
+      fileLines.splice(fileLines.length && fileLines[fileLines.length - 1] === '' ? fileLines.length - 1 : fileLines.length, 0, line);
+    } else {
+      fileLines[index] = line;
+    }
+  }
+  fs.writeFileSync(file, fileLines.join(eol) + (fileLines[fileLines.length - 1] === '' ? '' : eol));
+}
+
+// Helper function to read the value of a --name <value> or --name=<value> argument
+function argValue(argv, name) {
+  const index = argv.findIndex((arg) => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) {
+    return undefined;
+  }
+  return argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+}
+
+// Helper function to turn keystore contents into the environment variables loadKeySets reads
+function keystoreEnv(contents) {
+  const env = {};
+  for (const [prefix, keySet] of [['', contents.current], ['PREVIOUS_', contents.previous]]) {
+    for (const [field, envVar] of Object.entries(KEY_ENV_VARS)) {
+      if (keySet?.[field] && !field.endsWith('_public_key')) {
+        env[`${prefix}${envVar}`] = keySet[field];
+      }
+    }
+  }
+  if (contents.previous?.valid_until) {
+    env.PREVIOUS_KEY_VALID_UNTIL = contents.previous.valid_until;
+  }
+  return env;
+}
+
+// Helper function to keep only what the keystore stores of a key set; public keys are derived again on load
+function keystoreKeySet(keySet, validUntil) {
+  const { unique_key_id, signing_private_key, encryption_private_key } = keySet;
+  return validUntil ? { unique_key_id, signing_private_key, encryption_private_key, valid_until: validUntil } : { unique_key_id, signing_private_key, encryption_private_key };
+}
+
+// Helper function to print key set errors
+function reportKeyErrors(message, errors) {
+  console.error(`Error: ${message}:`);
+  for (const error of errors) {
+    console.error(`  - ${error}`);
+  }
+  return 1;
+}
+
+// With KEYSTORE_PASSPHRASE set, every command works on the encrypted keystore (KEYSTORE_PATH) instead of env variables
+function main(argv = process.argv.slice(2)) {
+  const [command] = argv;
+  const passphrase = process.env.KEYSTORE_PASSPHRASE;
+  const keystoreFile = keystorePath();
+
+  if (command === 'generate') {
+    const keySet = generateKeySet();
+    if (passphrase) {
+      if (fs.existsSync(keystoreFile) && !argv.includes('--force')) {
+        console.error(`Error: ${keystoreFile} already exists, use rotate to replace its keys (or --force to overwrite it)`);
+        return 1;
+      }
+      writeKeystore(keystoreFile, { current: keystoreKeySet(keySet), previous: null }, passphrase);
+      console.log(`Generated unique_key_id ${keySet.unique_key_id} in ${keystoreFile}`);
+      console.log(`# SIGNING_PUBLIC_KEY=${keySet.signing_public_key}`);
+      console.log(`# ENCRYPTION_PUBLIC_KEY=${keySet.encryption_public_key}`);
+      return 0;
+    }
+    console.log(`# Generated: ${new Date().toISOString()}`);
+    console.log(keySetEnvLines(keySet).join('\n'));
+    return 0;
+  }
+
+  if (command === 'import') {
+    if (!passphrase) {
+      return reportKeyErrors('cannot import keys', ['KEYSTORE_PASSPHRASE: missing environment variable']);
+    }
+    if (fs.existsSync(keystoreFile) && !argv.includes('--force')) {
+      console.error(`Error: ${keystoreFile} already exists (use --force to overwrite it)`);
+      return 1;
+    }
+    const { current, previous, errors } = loadKeySets({ uniqueKeyId: process.env.UNIQUE_KEY_ID });
+    if (errors.length || !current.unique_key_id) {
+      return reportKeyErrors('the key set in the environment is invalid', current?.unique_key_id ? errors : [...errors, 'UNIQUE_KEY_ID: missing environment variable']);
+    }
+    writeKeystore(keystoreFile, {
+      current: keystoreKeySet(current),
+      previous: previous ? keystoreKeySet(previous, previous.valid_until) : null,
+    }, passphrase);
+    console.log(`Imported unique_key_id ${current.unique_key_id}${previous ? ` and previous ${previous.unique_key_id}` : ''} into ${keystoreFile}`);
+    console.log('# Now remove the *_PRIVATE_KEY variables from the environment and delete any plaintext copies of the keys');
+    return 0;
+  }
+
+  if (command === 'rotate') {
+    const { current, errors } = passphrase
+      ? loadKeySets({ env: keystoreEnv(readKeystore(keystoreFile, passphrase)) })
+      : loadKeySets({ uniqueKeyId: process.env.UNIQUE_KEY_ID });
+    if (errors.length || !current.unique_key_id) {
+      return reportKeyErrors('the current key set is invalid, fix it before rotating', current?.unique_key_id ? errors : [...errors, 'UNIQUE_KEY_ID: missing environment variable']);
+    }
+
+    const overlapDays = Number(argValue(argv, '--overlap-days') ?? DEFAULT_OVERLAP_DAYS);
+    if (!(overlapDays > 0)) {
+      console.error(`Error: --overlap-days must be a positive number, got ${argValue(argv, '--overlap-days')}`);
+      return 1;
+    }
+    const keySet = generateKeySet();
+    const previousValidUntil = new Date(Date.now() + overlapDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const envFile = argValue(argv, '--env-file');
+    if (passphrase) {
+      writeKeystore(keystoreFile, { current: keystoreKeySet(keySet), previous: keystoreKeySet(current, previousValidUntil) }, passphrase);
+      console.log(`Rotated unique_key_id ${current.unique_key_id} -> ${keySet.unique_key_id} in ${keystoreFile}`);
+    } else {
+      const lines = [
+        ...keySetEnvLines(keySet),
+        ...keySetEnvLines(current, 'PREVIOUS_'),
+        `PREVIOUS_KEY_VALID_UNTIL=${previousValidUntil}`,
+      ];
+      if (envFile) {
+        updateEnvFile(envFile, lines);
+        console.log(`Rotated unique_key_id ${current.unique_key_id} -> ${keySet.unique_key_id} in ${envFile}`);
+      } else {
+        console.log(`# Rotated: ${new Date().toISOString()}`);
+        console.log(lines.join('\n'));
+      }
+    }
+    console.log(`# Restart the server, then POST /subscribe with {"ops_no": 6} to register ${keySet.unique_key_id};`);
+    console.log(`# the previous key keeps answering registry challenges for ${overlapDays} day(s)`);
+    return 0;
+  }
+
+  console.error('Usage: node keys.js generate [--force] | import [--force] | rotate [--env-file <file>] [--overlap-days <days>]');
+  console.error('With KEYSTORE_PASSPHRASE set the keys are read from and written to the keystore at KEYSTORE_PATH');
+  return 1;
+}
+
+if (require.main === module) {
+  require('dotenv').config({ quiet: true });
+  process.exitCode = main();
+}
+
+module.exports = { generateKeySet, loadKeySets, keystoreEnv, deriveSigningPublicKey, deriveEncryptionPublicKey };
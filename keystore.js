@@ -0,0 +1,79 @@
+// Encrypted keystore file holding the subscriber key sets (see keys.js)
+// The contents are sealed with AES-256-GCM under a key derived from KEYSTORE_PASSPHRASE with scrypt, so the file
+// never holds plaintext keys; it is read from KEYSTORE_PATH (default keystore.json next to the server), or taken from
+// the KEYSTORE environment variable holding the same JSON where the file isn't deployed (it is gitignored)
+//
+// Contents: { current: { unique_key_id, signing_private_key, encryption_private_key },
+//             previous: { unique_key_id, signing_private_key, encryption_private_key, valid_until } | null }
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYSTORE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 12;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Helper function to get the keystore file path from KEYSTORE_PATH
+function keystorePath(env = process.env) {
+  return env.KEYSTORE_PATH || path.join(__dirname, 'keystore.json');
+}
+
+// Helper function to derive the AES key from the passphrase
+function deriveKeystoreKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: 256 * params.N * params.r });
+}
+
+// Encrypt the keystore contents; returns the JSON document to write
+function sealKeystore(contents, passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`KEYSTORE_PASSPHRASE must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKeystoreKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(contents), 'utf8'), cipher.final()]);
+  return {
+    version: KEYSTORE_VERSION,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+    cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+    ciphertext: ciphertext.toString('base64'),
+  };
+}
+
+// Decrypt a keystore document; a wrong passphrase and a tampered file both fail the GCM tag check
+function openKeystore(sealed, passphrase) {
+  if (sealed?.version !== KEYSTORE_VERSION || sealed.kdf?.name !== 'scrypt' || sealed.cipher?.name !== 'aes-256-gcm') {
+    throw new Error(`unsupported keystore format, expected version ${KEYSTORE_VERSION} (scrypt, aes-256-gcm)`);
+  }
+  if (!passphrase) {
+    throw new Error('KEYSTORE_PASSPHRASE is not set');
+  }
+  const { salt, N, r, p } = sealed.kdf;
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKeystoreKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p }),
+    Buffer.from(sealed.cipher.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(sealed.cipher.tag, 'base64'));
+  try {
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    throw new Error('wrong KEYSTORE_PASSPHRASE or corrupted keystore');
+  }
+}
+
+// Read and decrypt the keystore file
+function readKeystore(file, passphrase) {
+  return openKeystore(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase);
+}
+
+// Encrypt and write the keystore file, readable by its owner only
+// The file is written next to the old one and renamed over it, so an interrupted write never loses the keys
+function writeKeystore(file, contents, passphrase) {
+  const sealed = sealKeystore(contents, passphrase);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(sealed, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmpFile, file);
+}
+
+module.exports = { keystorePath, openKeystore, readKeystore, writeKeystore };
@@ -0,0 +1,159 @@
+// Transaction lifecycle: lifecycleState/lifecycleTransition only look at a transaction, advanceLifecycle applies an
+// event to the stored one and revertLifecycle undoes it
+
+// Order lifecycle of a transaction, driven by our requests and the verified callbacks answering them:
+// searched → selected → quoted → initialized → confirming → confirmed → in-progress → completed / cancelled
+// A request moves it before it is sent, so a callback that overtakes the response finds the state it expects, and
+// moves it back when the gateway or BPP doesn't accept it
+// Each event lists the states it is allowed in and the state it moves to (null keeps the state); "order" moves to the
+// state matching the order status in the callback. completed and cancelled are final
+const PRE_ORDER_STATES = ['searched', 'selected', 'quoted', 'initialized'];
+const ORDER_STATES = ['confirmed', 'in-progress', 'completed', 'cancelled'];
+const LIFECYCLE_EVENTS = {
+  search: { from: [undefined], to: 'searched' },
+  on_search: { from: PRE_ORDER_STATES, to: null },
+  select: { from: PRE_ORDER_STATES, to: 'selected' },
+  on_select: { from: ['selected', 'quoted'], to: 'quoted' },
+  init: { from: ['quoted', 'initialized'], to: 'initialized' },
+  on_init: { from: ['initialized'], to: null },
+  confirm: { from: ['initialized', 'confirming'], to: 'confirming' },
+  // A BPP may send on_confirm again, e.g. when it didn't get our ACK
+  on_confirm: { from: ['confirming', 'confirmed'], to: 'confirmed' },
+  on_status: { from: ORDER_STATES, to: 'order' },
+  cancel: { from: ['confirmed', 'in-progress'], to: null },
+  on_cancel: { from: ORDER_STATES, to: 'order' },
+  update: { from: ['confirmed', 'in-progress'], to: null },
+  on_update: { from: ORDER_STATES, to: 'order' },
+};
+// Order statuses (any case) that move the lifecycle; others, such as ACTIVE or Accepted, keep it where it is
+const ORDER_STATUS_LIFECYCLE_STATES = {
+  'IN-PROGRESS': 'in-progress',
+  COMPLETE: 'completed',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Helper function to get the lifecycle state of a transaction
+// Transactions stored before the lifecycle was tracked get the state their stored fields imply
+function lifecycleState(transaction) {
+  if (!transaction || transaction.lifecycle_state) {
+    return transaction?.lifecycle_state;
+  }
+  if (transaction.order_id) {
+    return 'confirmed';
+  }
+  if (transaction.confirm_message_id) {
+    return 'confirming';
+  }
+  if (transaction.payment_id) {
+    return 'initialized';
+  }
+  if (transaction.select_message_id) {
+    return 'selected';
+  }
+  return transaction.search_message_id ? 'searched' : undefined;
+}
+
+// Helper function to check an event against the lifecycle of a transaction (undefined when it doesn't exist yet)
+// Returns { from, to } with the state it moves to, or { from, error } when the event isn't allowed now
+function lifecycleTransition(transaction, event, orderStatus) {
+  const from = lifecycleState(transaction);
+  const rule = LIFECYCLE_EVENTS[event];
+  if (!rule) {
+    return { from, to: from };
+  }
+  if (!rule.from.includes(from)) {
+    const allowed = rule.from.map((state) => state || 'not started').join(', ');
+    return { from, error: `Cannot ${event} a transaction that is ${from || 'not started'}, ${event} is allowed when it is ${allowed}` };
+  }
+
+  const to = rule.to === 'order' ? ORDER_STATUS_LIFECYCLE_STATES[orderStatus?.toUpperCase()] || from : rule.to || from;
+  if (to !== from && ['completed', 'cancelled'].includes(from)) {
+    return { from, error: `Transaction is already ${from}, ${event} cannot move it to ${to}` };
+  }
+  return { from, to };
+}
+
+// Create the lifecycle updates of stored transactions
+// dbQuery(text, params) runs a query on the transactions table and findTransaction(transactionId) reads one back
+function createLifecycle({ dbQuery, findTransaction }) {
+  // Helper function to apply an event to the lifecycle of a transaction, keeping the history of its transitions
+  // The stored state only changes if it is still the one the event was checked against, so concurrent requests and
+  // callbacks on any instance can't both move it; the loser is checked again against the state the winner left
+  // Returns what lifecycleTransition returned for the state the event was applied to
+  async function advanceLifecycle(transactionId, event, orderStatus) {
+    for (;;) {
+      const transaction = await findTransaction(transactionId);
+      const transition = lifecycleTransition(transaction, event, orderStatus);
+      if (transition.error || transition.to === transition.from) {
+        return transition;
+      }
+
+      const entry = { event, from: transition.from || null, to: transition.to, at: new Date().toISOString() };
+      try {
+        const { rowCount } = await dbQuery(
+          `INSERT INTO transactions (transaction_id, state) VALUES ($1, $2)
+           ON CONFLICT (transaction_id) DO UPDATE SET
+             state = transactions.state || jsonb_build_object(
+               'lifecycle_state', $3::text,
+               'lifecycle_history', COALESCE(transactions.state->'lifecycle_history', '[]'::jsonb) || $4::jsonb
+             ),
+             updated_at = now()
+           WHERE transactions.state->>'lifecycle_state' IS NOT DISTINCT FROM $5::text`,
+          [
+            transactionId,
+            { transaction_id: transactionId, created_at: entry.at, lifecycle_state: transition.to, lifecycle_history: [entry] },
+            transition.to,
+            JSON.stringify([entry]),
+            transaction?.lifecycle_state || null,
+          ]
+        );
+        if (rowCount > 0) {
+          console.log(`[${new Date().toISOString()}] ${event}: transaction_id=${transactionId} is now ${transition.to}`);
+          return transition;
+        }
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] advanceLifecycle: Failed to move transaction_id=${transactionId} to ${transition.to}, error=${error.message}`);
+        return transition;
+      }
+    }
+  }
+
+  // Helper function to undo what advanceLifecycle did for a request the gateway or BPP didn't accept
+  // The state only goes back if it is still the one the request moved it to, so a callback that already moved it on wins
+  async function revertLifecycle(transactionId, event, transition) {
+    if (transition.error || transition.to === transition.from) {
+      return;
+    }
+    const entry = { event: `${event}_not_accepted`, from: transition.to, to: transition.from || null, at: new Date().toISOString() };
+    try {
+      const { rowCount } = await dbQuery(
+        `UPDATE transactions SET
+           state = state || jsonb_build_object(
+             'lifecycle_state', $2::text,
+             'lifecycle_history', COALESCE(state->'lifecycle_history', '[]'::jsonb) || $3::jsonb
+           ),
+           updated_at = now()
+         WHERE transaction_id = $1 AND state->>'lifecycle_state' = $4`,
+        [transactionId, transition.from || null, JSON.stringify([entry]), transition.to]
+      );
+      if (rowCount > 0) {
+        console.log(`[${new Date().toISOString()}] ${event}: Not accepted, transaction_id=${transactionId} is ${transition.from || 'not started'} again`);
+      }
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] revertLifecycle: Failed to move transaction_id=${transactionId} back to ${transition.from}, error=${error.message}`);
+    }
+  }
+
+  return { advanceLifecycle, revertLifecycle };
+}
+
+module.exports = {
+  PRE_ORDER_STATES,
+  ORDER_STATES,
+  LIFECYCLE_EVENTS,
+  ORDER_STATUS_LIFECYCLE_STATES,
+  lifecycleState,
+  lifecycleTransition,
+  createLifecycle,
+};
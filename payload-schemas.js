@@ -0,0 +1,48 @@
+// Bundled ONDC v2.0.0 JSON schemas: one per action in schemas/2.0.0 (IGM 1.0.0 for the issue actions), plus per-domain
+// additions in schemas/2.0.0/domains
+// Validators are compiled when the module loads, keyed by "domain|action" (an empty domain for the base action schema)
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas', '2.0.0');
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const payloadValidators = new Map();
+for (const file of fs.readdirSync(SCHEMA_DIR).filter((name) => name.endsWith('.json'))) {
+  ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8')));
+}
+for (const file of fs.readdirSync(SCHEMA_DIR).filter((name) => name.endsWith('.json') && name !== 'common.json')) {
+  payloadValidators.set(`|${path.basename(file, '.json')}`, ajv.getSchema(`ondc-2.0.0/${file}`));
+}
+for (const file of fs.readdirSync(path.join(SCHEMA_DIR, 'domains'))) {
+  const { domain, actions } = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, 'domains', file), 'utf8'));
+  for (const [action, schema] of Object.entries(actions)) {
+    payloadValidators.set(`${domain}|${action}`, ajv.compile({ allOf: [{ $ref: `ondc-2.0.0/${action}.json` }, schema] }));
+  }
+}
+
+// Helper function to validate a payload against the schema for its action and context domain
+// Returns field-level errors such as { field: "message.order.payments", message: "must NOT have fewer than 1 items" }
+function validatePayload(action, payload) {
+  const validate = payloadValidators.get(`${payload?.context?.domain}|${action}`) || payloadValidators.get(`|${action}`);
+  if (!validate || validate(payload)) {
+    return [];
+  }
+
+  const errors = validate.errors.map((error) => {
+    const segments = error.instancePath.split('/').slice(1);
+    if (error.params.missingProperty) {
+      segments.push(error.params.missingProperty);
+    }
+    const field = segments.reduce((name, segment) => (
+      /^\d+$/.test(segment) ? `${name}[${segment}]` : name ? `${name}.${segment}` : segment
+    ), '');
+    return { field, message: error.message };
+  });
+  // allOf with a domain schema can report the same failure twice
+  return errors.filter((error, index) => errors.findIndex((other) => other.field === error.field && other.message === error.message) === index);
+}
+
+module.exports = { validatePayload };
@@ -2,33 +2,193 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const crypto = require('crypto');
-const _sodium = require('libsodium-wrappers');
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
-const { Client } = require('pg');
-const { createAuthorizationHeader, isHeaderValid } = require('ondc-crypto-sdk-nodejs');
+const { EventEmitter } = require('events');
+const { Client, Pool } = require('pg');
+const { isHeaderValid } = require('ondc-crypto-sdk-nodejs');
+const { loadConfig } = require('./config');
+const keyProvider = require('./key-provider');
+const { registerCallbackHandler, callbackHandler, loadCallbackHooks } = require('./callbacks');
+const { createCallbackJobs } = require('./callback-jobs');
+const { LIFECYCLE_EVENTS, lifecycleState, lifecycleTransition, createLifecycle } = require('./lifecycle');
+const { ONDC_ERRORS, createCallbackChecks } = require('./callback-checks');
+const { parseDurationMs } = require('./durations');
+const { parseAuthorizationHeader, checkSignatureWindow, verifySignature, ed25519PublicKey } = require('./signatures');
+const { createDelivery } = require('./delivery');
+const { validatePayload } = require('./payload-schemas');
+const { CLIENT_ROLES, hashApiKey, createClientAuth } = require('./auth');
 
 // Configuration
+// Network endpoints and subscriber details come from the selected environment profile (see config.js)
 const port = process.env.PORT || 3000;
-const ONDC_SUBSCRIBE_URL = process.env.ONDC_SUBSCRIBE_URL;
-const ONDC_LOOKUP_URL = process.env.ONDC_LOOKUP_URL;
-const SUBSCRIBER_ID = process.env.SUBSCRIBER_ID;
-const SUBSCRIBER_URL = process.env.SUBSCRIBER_URL; // This will now be https://stage.ticketsandguides.com/bapl
-const CALLBACK_URL = process.env.CALLBACK_URL;
-const REQUEST_ID = process.env.REQUEST_ID;
-const UNIQUE_KEY_ID = process.env.UNIQUE_KEY_ID;
-const EMAIL_ID = process.env.EMAIL_ID;
-const MOBILE_NO = process.env.MOBILE_NO;
-const COUNTRY = process.env.COUNTRY;
-const PAN_NO = process.env.PAN_NO;
-const PAN_NAME = process.env.PAN_NAME;
-const PAN_DATE_OF_INCORPORATION = process.env.PAN_DATE_OF_INCORPORATION;
-const NAME_OF_AUTHORISED_SIGNATORY = process.env.NAME_OF_AUTHORISED_SIGNATORY;
-const ADDRESS_OF_AUTHORISED_SIGNATORY = process.env.ADDRESS_OF_AUTHORISED_SIGNATORY;
-const LEGAL_ENTITY_NAME = process.env.LEGAL_ENTITY_NAME;
-const BUSINESS_ADDRESS = process.env.BUSINESS_ADDRESS;
-const GST_NO = process.env.GST_NO;
-const DOMAIN = process.env.DOMAIN;
-const CITY_CODE = process.env.CITY_CODE;
+const { name: ONDC_ENV, config, overrides: configOverrides, errors: configErrors } = loadConfig();
+if (configErrors.length) {
+  console.error(`[${new Date().toISOString()}] Error: Invalid configuration for the "${ONDC_ENV}" environment profile`);
+  for (const configError of configErrors) {
+    console.error(`  - ${configError}`);
+  }
+  process.exit(1);
+}
+console.log(
+  `[${new Date().toISOString()}] Using the "${ONDC_ENV}" environment profile`,
+  configOverrides.length ? `with overrides from ${configOverrides.join(', ')}` : ''
+);
+
+const ONDC_SUBSCRIBE_URL = config.registry.subscribe_url;
+const ONDC_LOOKUP_URL = config.registry.lookup_url;
+const ONDC_GATEWAY_URL = config.gateway_url;
+const ONDC_PUBLIC_KEY = config.ondc_public_key;
+const SUBSCRIBER_ID = config.subscriber.subscriber_id;
+const SUBSCRIBER_URL = config.subscriber.subscriber_url; // e.g. https://stage.ticketsandguides.com/bapl
+const CALLBACK_URL = config.subscriber.callback_url;
+const REQUEST_ID = config.subscriber.request_id;
+const EMAIL_ID = config.subscriber.email_id;
+const MOBILE_NO = config.subscriber.mobile_no;
+const COUNTRY = config.subscriber.country;
+const PAN_NO = config.subscriber.pan_no;
+const PAN_NAME = config.subscriber.pan_name;
+const PAN_DATE_OF_INCORPORATION = config.subscriber.pan_date_of_incorporation;
+const NAME_OF_AUTHORISED_SIGNATORY = config.subscriber.name_of_authorised_signatory;
+const ADDRESS_OF_AUTHORISED_SIGNATORY = config.subscriber.address_of_authorised_signatory;
+const LEGAL_ENTITY_NAME = config.subscriber.legal_entity_name;
+const BUSINESS_ADDRESS = config.subscriber.business_address;
+const GST_NO = config.subscriber.gst_no;
+const DOMAIN = config.subscriber.domain;
+const CITY_CODE = config.subscriber.city_code;
+
+// Signing and encryption keys are held by the key provider (see key-provider.js), which unlocks the keystore
+// Only public keys leave it; while a rotation overlaps it also answers registry challenges for the previous key
+const { source: keySource, current: subscriberKeys, previous: previousSubscriberKeys, warnings: keyWarnings, errors: keyErrors } = keyProvider.loadKeyProvider({
+  subscriberId: SUBSCRIBER_ID,
+  uniqueKeyId: config.subscriber.unique_key_id,
+  ondcPublicKey: ONDC_PUBLIC_KEY,
+});
+if (keyErrors.length) {
+  console.error(`[${new Date().toISOString()}] Error: Invalid signing or encryption keys (${keySource})`);
+  for (const keyError of keyErrors) {
+    console.error(`  - ${keyError}`);
+  }
+  process.exit(1);
+}
+for (const keyWarning of keyWarnings) {
+  console.warn(`[${new Date().toISOString()}] Warning: ${keyWarning}`);
+}
+console.log(`[${new Date().toISOString()}] Keys loaded from ${keySource}, unique_key_id=${subscriberKeys.unique_key_id}`);
+if (previousSubscriberKeys) {
+  console.log(`[${new Date().toISOString()}] Key rotation in progress: previous unique_key_id=${previousSubscriberKeys.unique_key_id} kept until ${previousSubscriberKeys.valid_until}`);
+}
+const UNIQUE_KEY_ID = subscriberKeys.unique_key_id;
+const SIGNING_PUBLIC_KEY = subscriberKeys.signing_public_key;
+const ENCRYPTION_PUBLIC_KEY = subscriberKeys.encryption_public_key;
+
+// network_participant entries we register, by default one buyer app on the path of SUBSCRIBER_URL
+const NETWORK_PARTICIPANTS = (config.network_participants || [{ type: 'buyerApp', domain: DOMAIN, city_code: [CITY_CODE] }])
+  .map((participant) => ({
+    subscriber_url: participant.subscriber_url || new URL(SUBSCRIBER_URL).pathname,
+    domain: participant.domain,
+    type: participant.type,
+    msn: Boolean(participant.msn),
+    city_code: participant.city_code,
+  }));
+const KEY_VALIDITY_DAYS = config.key_validity_days || 365;
+
+// Callbacks relayed by the ONDC gateway carry its signature in X-Gateway-Authorization
+// Actions in required_actions are rejected without a valid one; on other callbacks it is verified when present
+// (and an invalid one rejected) unless verify_when_present is false
+const GATEWAY_REQUIRED_ACTIONS = config.gateway_authorization?.required_actions || [];
+const GATEWAY_VERIFY_WHEN_PRESENT = config.gateway_authorization?.verify_when_present !== false;
+
+// Registry subscribe operations (context.operation.ops_no) and the network_participant types each one registers
+// Seller registrations only pick the seller apps with the matching msn flag; ops_no 6 updates an existing
+// subscription (new domains or cities, new keys) with every configured participant
+const SUBSCRIBE_OPERATIONS = {
+  1: { description: 'Buyer app registration', types: ['buyerApp'] },
+  2: { description: 'Seller app registration', types: ['sellerApp'], msn: false },
+  3: { description: 'Seller app registration (MSN)', types: ['sellerApp'], msn: true },
+  4: { description: 'Buyer and seller app registration', types: ['buyerApp', 'sellerApp'], msn: false },
+  5: { description: 'Buyer and seller app registration (MSN)', types: ['buyerApp', 'sellerApp'], msn: true },
+  6: { description: 'Update of domains, cities or keys', types: ['buyerApp', 'sellerApp'], update: true },
+};
+
+// Registry lookups are trusted for REGISTRY_CACHE_TTL_SECONDS (default 1h) before they are fetched again
+// A subscriber is never fetched more than once per refresh interval, so bad signatures can't hammer the registry
+const REGISTRY_CACHE_TTL_MS = (Number(process.env.REGISTRY_CACHE_TTL_SECONDS) || 3600) * 1000;
+const REGISTRY_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// A signed callback is accepted between the created and expires times of its Authorization header, give or take
+// SIGNATURE_CLOCK_SKEW_SECONDS (default 30s) of clock drift, and each signature is accepted only once
+const SIGNATURE_CLOCK_SKEW_MS = (Number(process.env.SIGNATURE_CLOCK_SKEW_SECONDS) || 30) * 1000;
+
+// Outbound messages are retried on connection errors, timeouts, 429 and 5xx until their context ttl runs out,
+// waiting OUTBOUND_RETRY_BASE_MS (default 500ms) doubled on every attempt, each attempt capped at OUTBOUND_TIMEOUT_SECONDS
+const OUTBOUND_RETRY_BASE_MS = Number(process.env.OUTBOUND_RETRY_BASE_MS) || 500;
+const OUTBOUND_TIMEOUT_MS = (Number(process.env.OUTBOUND_TIMEOUT_SECONDS) || 10) * 1000;
+
+// Client requests carrying an Idempotency-Key header are answered once; retries with the same key get the stored
+// response for IDEMPOTENCY_KEY_TTL_HOURS (default 24h). A key whose request never finished is taken over after 2 minutes
+const IDEMPOTENCY_KEY_TTL_MS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const IDEMPOTENCY_IN_FLIGHT_MS = 2 * 60 * 1000;
+const IDEMPOTENT_ROUTES = ["/search", "/select", "/init", "/confirm", "/status", "/track", "/cancel", "/update", "/rating", "/support", "/issue", "/issue_status"];
+
+// Verified on_* callbacks are queued in callback_jobs and processed by CALLBACK_WORKER_CONCURRENCY workers per instance
+// (default 2, 0 leaves the jobs to other instances). A failed job is retried after 2s, 4s, 8s... until it has run
+// CALLBACK_JOB_MAX_ATTEMPTS times (default 5); a job left running longer than the lock time is taken over
+// Serverless runtimes such as Vercel freeze the function once it has responded, so the workers can't run there: they
+// default to 0 on Vercel and a cron (see vercel.json) calls /cron/callback-jobs with CRON_SECRET every minute instead,
+// which processes the queued jobs for up to CALLBACK_JOB_CRON_SECONDS (default 8s, inside Vercel's shortest timeout)
+const CALLBACK_WORKER_CONCURRENCY = Number(process.env.CALLBACK_WORKER_CONCURRENCY ?? (process.env.VERCEL ? 0 : 2));
+const CALLBACK_JOB_CRON_MS = (Number(process.env.CALLBACK_JOB_CRON_SECONDS) || 8) * 1000;
+const CRON_SECRET = process.env.CRON_SECRET;
+const CALLBACK_JOB_MAX_ATTEMPTS = Number(process.env.CALLBACK_JOB_MAX_ATTEMPTS) || 5;
+const CALLBACK_JOB_POLL_MS = 5000;
+const CALLBACK_JOB_LOCK_MS = 5 * 60 * 1000;
+const CALLBACK_JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Client routes need an API key (X-API-Key header) or a JWT (Authorization: Bearer <token>, HS256 signed with JWT_SECRET,
+// with a role claim and, when JWT_ISSUER/JWT_AUDIENCE are set, the matching iss/aud). API keys are created through
+// /api-keys; ADMIN_API_KEY is the admin key from the environment that creates the first ones
+// The admin role can call every client route, the app role only the transaction routes. Network callbacks and the
+// routes the registry calls are authenticated by their signatures instead and are never behind these checks (see auth.js)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const JWT_SECRET = process.env.JWT_SECRET;
+const ADMIN_ROUTES = ["/subscribe", "/subscription", "/doctor", "/api-keys", "/dead-letters", "/callback-jobs"];
+const APP_ROUTES = ["/lookup", "/search", "/select", "/init", "/confirm", "/status", "/track", "/cancel", "/update", "/rating", "/support", "/issue", "/issue_status", "/transactions", "/orders", "/issues"];
+// Requests per minute for each API key (unless the key has its own limit) and each JWT subject
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+// EventSource can't send headers, so /search/:transaction_id/stream also accepts ?token=, a short-lived token for that
+// one stream from POST /search/:transaction_id/stream-token. Stream tokens end up in URLs, so they are never signed
+// with JWT_SECRET itself: the secret is STREAM_TOKEN_SECRET, else one derived from JWT_SECRET, else a random
+// per-instance secret (the tokens then only work on the instance that issued them)
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET
+  || (JWT_SECRET && crypto.createHmac("sha256", JWT_SECRET).update("search-stream-token").digest("hex"))
+  || crypto.randomBytes(32).toString("hex");
+const STREAM_TOKEN_TTL_SECONDS = Number(process.env.STREAM_TOKEN_TTL_SECONDS) || 60;
+if (!ADMIN_API_KEY && !JWT_SECRET) {
+  console.warn(`[${new Date().toISOString()}] Warning: neither ADMIN_API_KEY nor JWT_SECRET is set, only API keys already created can call the client routes`);
+}
+
+// ONDC cancellation reason codes a buyer app may send in /cancel
+const BUYER_CANCELLATION_REASONS = {
+  '001': 'Price of one or more items have changed due to which buyer was asked to make additional payment',
+  '003': 'Product available at lower than order price',
+  '004': 'Order in pending shipment / fulfillment state for too long',
+  '006': 'Order not fulfilled as per buyer app TAT SLA',
+  '009': 'Wrong product delivered',
+  '010': 'Buyer wants to modify details',
+  '012': 'Buyer does not want product any more',
+};
+
+// Parts of a confirmed order a buyer app may change in /update
+const UPDATE_TARGETS = ['items', 'fulfillments', 'billing', 'payments'];
+
+// IGM issue categories and the actions a complainant (our buyer) may take on an issue
+const IGM_CATEGORIES = ['ORDER', 'ITEM', 'FULFILLMENT', 'AGENT', 'PAYMENT', 'TRANSACTION'];
+const COMPLAINANT_ACTIONS = ['OPEN', 'ESCALATE', 'CLOSE'];
+
+// What a buyer can rate on a confirmed order
+const RATING_CATEGORIES = ['ITEM', 'ORDER', 'FULFILLMENT', 'PROVIDER', 'AGENT'];
 
 const htmlFile = `
 <!--Contents of ondc-site-verification.html. -->
@@ -45,78 +205,6 @@ const htmlFile = `
 </html>
 `;
 
-// Validate environment variables
-const requiredEnvVars = [
-  'ENCRYPTION_PRIVATE_KEY',
-  'ONDC_PUBLIC_KEY',
-  'SIGNING_PRIVATE_KEY',
-  'REQUEST_ID',
-  'UNIQUE_KEY_ID',
-  'ONDC_SUBSCRIBE_URL',
-  'ONDC_LOOKUP_URL',
-  'SUBSCRIBER_ID',
-  'SUBSCRIBER_URL', // Ensure SUBSCRIBER_URL is present
-  'CALLBACK_URL',
-  'EMAIL_ID',
-  'MOBILE_NO',
-  'COUNTRY',
-  'PAN_NO',
-  'PAN_NAME',
-  'PAN_DATE_OF_INCORPORATION',
-  'NAME_OF_AUTHORISED_SIGNATORY',
-  'ADDRESS_OF_AUTHORISED_SIGNATORY',
-  'LEGAL_ENTITY_NAME',
-  'BUSINESS_ADDRESS',
-  'GST_NO',
-  'DOMAIN',
-  'CITY_CODE',
-];
-for (const envVar of requiredEnvVars) {
-  if (!process.env[envVar]) {
-    console.error(`[${new Date().toISOString()}] Error: Missing required environment variable ${envVar}`);
-    process.exit(1);
-  }
-}
-
-// Validate CALLBACK_URL format (still expects a relative URL starting with '/')
-// The validation for SUBSCRIBER_URL is removed as it will now be an absolute URL
-if (!CALLBACK_URL.match(/^\/[a-zA-Z0-9\/]*$/)) {
-  console.error(`[${new Date().toISOString()}] Error: CALLBACK_URL must be a relative URL starting with '/', got ${CALLBACK_URL}`);
-  process.exit(1);
-}
-
-// Validate GST_NO format (15 characters, alphanumeric)
-if (!GST_NO.match(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/)) {
-  console.error(`[${new Date().toISOString()}] Error: GST_NO must be a valid 15-character GST number, got ${GST_NO}`);
-  process.exit(1);
-}
-
-// Initialize keys
-let privateKey, publicKey, sharedKey;
-try {
-  privateKey = crypto.createPrivateKey({
-    key: Buffer.from(process.env.ENCRYPTION_PRIVATE_KEY, 'base64'),
-    format: 'der',
-    type: 'pkcs8',
-  });
-
-  publicKey = crypto.createPublicKey({
-    key: Buffer.from(process.env.ONDC_PUBLIC_KEY, 'base64'),
-    format: 'der',
-    type: 'spki',
-  });
-
-  // Derive shared key using Diffie-Hellman
-  sharedKey = crypto.diffieHellman({
-    privateKey: privateKey,
-    publicKey: publicKey,
-  });
-  console.log(`[${new Date().toISOString()}] Key initialization successful`);
-} catch (error) {
-  console.error(`[${new Date().toISOString()}] Error: Failed to initialize keys, error=${error.message}`);
-  process.exit(1);
-}
-
 // Helper function to get UTC timestamp
 function getUTCTimestamp() {
   const now = new Date();
@@ -132,1033 +220,3277 @@ function getFutureUTCTimestamp(yearsFromNow = 1) {
 
 // Create Express app
 const app = express();
-app.use(bodyParser.json({ limit: '10mb' }));
+// Keep the exact bytes of JSON bodies: callback signatures are verified over what was sent, not a re-serialization
+app.use(bodyParser.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
 
-const client = new Client({
+// Queries share a connection pool; LISTEN needs a connection of its own (see connectListener)
+const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
-client.connect()
-  .then(() => {
-    console.log('Connected to database');
-  })
-  .catch((err) => {
-    console.error('Failed to connect to database:', err);
-  });
+// An idle pooled connection that fails (e.g. the server restarts) is dropped by the pool; log it instead of crashing
+pool.on('error', (error) => {
+  console.error(`[${new Date().toISOString()}] Database pool: idle connection error, ${error.message}`);
+});
 
-// Subscribe endpoint (sends request to ONDC Registry)
-app.post('/subscribe', async (req, res) => {
-  console.log(`[${new Date().toISOString()}] /subscribe: Received subscription request, request_id=${REQUEST_ID}`);
- 
-  try {
-    // Generate timestamps
-    const validFrom = getUTCTimestamp();
-    const validUntil = getFutureUTCTimestamp(1);
-    const timestamp = getUTCTimestamp();
+// Delay before a lost LISTEN connection is replaced
+const LISTEN_RECONNECT_MS = 5000;
+// Delay before a failed database connection (or migration) is tried again, doubled on every failure up to the maximum
+const DB_RETRY_BASE_MS = 1000;
+const DB_RETRY_MAX_MS = 30 * 1000;
+
+// Schema migrations, applied in order on startup and recorded in schema_migrations
+// Never edit a migration that has shipped; add a new one instead
+const MIGRATIONS = [
+  {
+    id: 1,
+    name: 'create_transactions_messages_orders_issues',
+    sql: `
+      CREATE TABLE transactions (
+        transaction_id TEXT PRIMARY KEY,
+        state JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
 
-    console.log(`[${new Date().toISOString()}] /subscribe: Generated timestamps, valid_from=${validFrom}, valid_until=${validUntil}, timestamp=${timestamp}`);
+      CREATE TABLE messages (
+        id BIGSERIAL PRIMARY KEY,
+        transaction_id TEXT,
+        message_id TEXT,
+        action TEXT NOT NULL,
+        direction TEXT NOT NULL CHECK (direction IN ('outbound', 'inbound')),
+        counterparty_id TEXT,
+        payload JSONB,
+        http_status INTEGER,
+        response JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX messages_transaction_id_idx ON messages (transaction_id, created_at);
+      CREATE INDEX messages_message_id_idx ON messages (message_id);
+
+      CREATE TABLE orders (
+        order_id TEXT PRIMARY KEY,
+        transaction_id TEXT NOT NULL,
+        status TEXT,
+        state JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX orders_transaction_id_idx ON orders (transaction_id);
+
+      CREATE TABLE issues (
+        issue_id TEXT PRIMARY KEY,
+        order_id TEXT NOT NULL,
+        status TEXT,
+        state JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX issues_order_id_idx ON issues (order_id);
+    `,
+  },
+  {
+    id: 2,
+    name: 'create_search_results',
+    sql: `
+      CREATE TABLE search_results (
+        id BIGSERIAL PRIMARY KEY,
+        transaction_id TEXT NOT NULL,
+        message_id TEXT,
+        bpp_id TEXT NOT NULL,
+        bpp_uri TEXT,
+        catalog JSONB NOT NULL,
+        received_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX search_results_transaction_id_idx ON search_results (transaction_id, id);
+    `,
+  },
+  {
+    id: 3,
+    name: 'create_registry_keys',
+    sql: `
+      CREATE TABLE registry_keys (
+        subscriber_id TEXT NOT NULL,
+        unique_key_id TEXT NOT NULL,
+        signing_public_key TEXT NOT NULL,
+        valid_from TIMESTAMPTZ,
+        valid_until TIMESTAMPTZ,
+        entry JSONB NOT NULL,
+        fetched_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (subscriber_id, unique_key_id)
+      );
+    `,
+  },
+  {
+    id: 4,
+    name: 'create_seen_signatures',
+    sql: `
+      CREATE TABLE seen_signatures (
+        signature TEXT PRIMARY KEY,
+        subscriber_id TEXT NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        seen_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX seen_signatures_expires_at_idx ON seen_signatures (expires_at);
+    `,
+  },
+  {
+    id: 5,
+    name: 'add_messages_gateway_auth',
+    sql: `
+      ALTER TABLE messages ADD COLUMN gateway_auth JSONB;
+    `,
+  },
+  {
+    id: 6,
+    name: 'create_idempotency_keys_dead_letters',
+    sql: `
+      CREATE TABLE idempotency_keys (
+        route TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        http_status INTEGER,
+        response JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (route, idempotency_key)
+      );
+      CREATE INDEX idempotency_keys_created_at_idx ON idempotency_keys (created_at);
+
+      CREATE TABLE dead_letters (
+        id BIGSERIAL PRIMARY KEY,
+        action TEXT NOT NULL,
+        url TEXT NOT NULL,
+        transaction_id TEXT,
+        message_id TEXT,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered')),
+        attempts INTEGER NOT NULL,
+        last_status INTEGER,
+        last_error JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        delivered_at TIMESTAMPTZ
+      );
+      CREATE INDEX dead_letters_status_idx ON dead_letters (status, created_at);
+    `,
+  },
+  {
+    id: 7,
+    name: 'create_callback_jobs',
+    sql: `
+      CREATE TABLE callback_jobs (
+        id BIGSERIAL PRIMARY KEY,
+        action TEXT NOT NULL,
+        transaction_id TEXT,
+        message_id TEXT,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        locked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ
+      );
+      CREATE INDEX callback_jobs_status_run_at_idx ON callback_jobs (status, run_at);
+      CREATE INDEX callback_jobs_transaction_id_idx ON callback_jobs (transaction_id, id);
+    `,
+  },
+  {
+    id: 8,
+    name: 'add_callback_jobs_hook',
+    sql: `
+      ALTER TABLE callback_jobs ADD COLUMN hook TEXT;
+    `,
+  },
+  {
+    id: 9,
+    name: 'create_api_keys_rate_limits',
+    sql: `
+      CREATE TABLE api_keys (
+        id BIGSERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'app')),
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        rate_limit_per_minute INTEGER,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        revoked_at TIMESTAMPTZ
+      );
 
-    // Prepare subscription payload according to schema
-    const payload = {
-      context: {
-        operation: {
-          ops_no: 1
-        }
-      },
-      message: {
-        request_id: REQUEST_ID, // Using env variable for consistency
-        timestamp: timestamp,
-        entity: {
-          gst: {
-            legal_entity_name: LEGAL_ENTITY_NAME, // Using env variable
-            business_address: BUSINESS_ADDRESS, // Using env variable
-            city_code: [
-              CITY_CODE // Using env variable
-            ],
-            gst_no: GST_NO // Using env variable
-          },
-          pan: {
-            name_as_per_pan: PAN_NAME, // Using env variable
-            pan_no: PAN_NO, // Using env variable
-            date_of_incorporation: PAN_DATE_OF_INCORPORATION // Using env variable
-          },
-          name_of_authorised_signatory: NAME_OF_AUTHORISED_SIGNATORY, // Using env variable
-          address_of_authorised_signatory: ADDRESS_OF_AUTHORISED_SIGNATORY, // Using env variable
-          email_id: EMAIL_ID, // Using env variable
-          mobile_no: parseInt(MOBILE_NO), // Ensure mobile_no is an integer
-          country: COUNTRY, // Using env variable
-          subscriber_id: SUBSCRIBER_ID, // Using env variable
-          unique_key_id: UNIQUE_KEY_ID, // Using env variable
-          callback_url: CALLBACK_URL, // Using env variable
-          key_pair: {
-            signing_public_key: process.env.SIGNING_PUBLIC_KEY, // Assuming this exists or is derived
-            encryption_public_key: process.env.ENCRYPTION_PUBLIC_KEY, // Assuming this exists or is derived
-            valid_from: validFrom,
-            valid_until: validUntil
-          }
-        },
-        network_participant: [
-          {
-            subscriber_url: "/bapl", // Changed to use the SUBSCRIBER_URL variable
-            domain: DOMAIN, // Using env variable
-            type: "buyerApp",
-            msn: false,
-            city_code: [
-              CITY_CODE // Using env variable
-            ]
-          }
-        ]
-      }
-    };
+      CREATE TABLE rate_limits (
+        subject TEXT NOT NULL,
+        window_start TIMESTAMPTZ NOT NULL,
+        requests INTEGER NOT NULL,
+        PRIMARY KEY (subject, window_start)
+      );
+    `,
+  },
+];
 
-    console.log(`[${new Date().toISOString()}] /subscribe: Sending subscription request to ONDC Registry (${ONDC_SUBSCRIBE_URL}), payload=`, JSON.stringify(payload, null, 2));
+// Apply pending migrations, holding an advisory lock so concurrent instances don't race
+// The lock is held by a session, so everything runs on one connection taken from the pool
+async function runMigrations() {
+  const client = await pool.connect();
+  try {
+    await applyMigrations(client);
+  } finally {
+    client.release();
+  }
+}
 
-    // Send subscription request to ONDC Registry
-    const response = await axios.post(ONDC_SUBSCRIBE_URL, payload, {
-      headers: { 'Content-Type': 'application/json' },
-    });
+// Helper function to apply the pending migrations on one connection
+async function applyMigrations(client) {
+  await client.query('SELECT pg_advisory_lock(804201)');
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+    const { rows } = await client.query('SELECT id FROM schema_migrations');
+    const applied = new Set(rows.map((row) => row.id));
+
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.id)) {
+        continue;
+      }
+      await client.query('BEGIN');
+      try {
+        await client.query(migration.sql);
+        await client.query('INSERT INTO schema_migrations (id, name) VALUES ($1, $2)', [migration.id, migration.name]);
+        await client.query('COMMIT');
+        console.log(`[${new Date().toISOString()}] runMigrations: Applied migration ${migration.id}_${migration.name}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.id}_${migration.name} failed: ${error.message}`);
+      }
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock(804201)');
+  }
+}
 
-    // Log the full response from ONDC Registry
-    console.log(`[${new Date().toISOString()}] /subscribe: Subscription request successful, response=`, JSON.stringify(response.data, null, 2));
+// Emits the transaction_id whenever an on_search catalog is stored, on any instance (via LISTEN/NOTIFY)
+const searchEvents = new EventEmitter();
+searchEvents.setMaxListeners(0);
 
-    res.status(200).json({
-      message: 'Subscription request sent successfully to ONDC Registry',
-      data: response.data,
-    });
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] /subscribe: Failed to send subscription request, error=${error.message}`, error.response?.data);
-    res.status(500).json({ error: 'Failed to send subscription request', details: error.response?.data });
-  }
-});
+// Emits 'queued' whenever a callback job is queued on any instance, waking the idle callback workers
+const callbackJobEvents = new EventEmitter();
+callbackJobEvents.setMaxListeners(0);
 
-// Endpoint for CALLBACK_URL=/ondc/onboarding
-app.post(`${CALLBACK_URL}/on_subscribe`, (req, res) => { // Changed to use CALLBACK_URL variable
-  console.log(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Received challenge from ONDC Registry, request_id=${REQUEST_ID}, body=`, req.body);
+// Helper function to dispatch a notification from any instance to the local listeners
+function handleNotification(notification) {
+  if (notification.channel === 'search_results') {
+    searchEvents.emit(notification.payload);
+  } else if (notification.channel === 'callback_jobs') {
+    callbackJobEvents.emit('queued');
+  }
+}
 
-  try {
-    const { subscriber_id, challenge } = req.body;
-    if (!challenge) {
-      console.warn(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Challenge missing in request body, request_id=${REQUEST_ID}, subscriber_id=${subscriber_id}`);
-      return res.status(400).json({ error: 'Challenge is required' });
-    }
+// Helper function to keep a dedicated connection listening for notifications
+// A lost connection is replaced after LISTEN_RECONNECT_MS; the workers are woken on reconnect since
+// notifications sent in between are lost (their periodic poll would pick the jobs up anyway)
+function connectListener() {
+  const listener = new Client({
+    connectionString: process.env.DATABASE_URL,
+  });
+  let lost = false;
+  const reconnect = (error) => {
+    if (lost) {
+      return;
+    }
+    lost = true;
+    console.error(`[${new Date().toISOString()}] Database listener: Connection lost${error ? `, ${error.message}` : ''}, reconnecting in ${LISTEN_RECONNECT_MS}ms`);
+    listener.end().catch(() => {});
+    setTimeout(connectListener, LISTEN_RECONNECT_MS);
+  };
+  listener.on('notification', handleNotification);
+  listener.on('error', reconnect);
+  listener.on('end', () => reconnect());
+
+  listener.connect()
+    .then(() => listener.query('LISTEN search_results'))
+    .then(() => listener.query('LISTEN callback_jobs'))
+    .then(() => callbackJobEvents.emit('queued'))
+    .catch(reconnect);
+}
 
-    console.log(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Processing challenge for subscriber_id=${subscriber_id}`);
+// Connecting to the database and migrating it, or null when the last attempt failed and the next one is due
+let dbConnecting = null;
+let dbRetryDelayMs = DB_RETRY_BASE_MS;
+
+// Helper function to get a promise that resolves once the database is connected and migrated; every query waits on it
+// A failed attempt is tried again in the background after a growing delay. Until then queries fail straight away with
+// its error, so routes answer with their usual errors instead of hanging while the database is down
+function dbReady() {
+  if (!dbConnecting) {
+    dbConnecting = runMigrations().then(() => {
+      console.log('Connected to database');
+      dbRetryDelayMs = DB_RETRY_BASE_MS;
+      connectListener();
+    }, (error) => {
+      console.error(`[${new Date().toISOString()}] Failed to connect to database, retrying in ${dbRetryDelayMs}ms: ${error.message}`);
+      setTimeout(() => {
+        dbConnecting = null;
+        dbReady().catch(() => {});
+      }, dbRetryDelayMs);
+      dbRetryDelayMs = Math.min(dbRetryDelayMs * 2, DB_RETRY_MAX_MS);
+      throw error;
+    });
+  }
+  return dbConnecting;
+}
 
-    const answer = decryptAES256ECB(sharedKey, challenge);
-    console.log(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Challenge decrypted successfully, request_id=${REQUEST_ID}, answer=${answer}`);
+dbReady().catch(() => {});
 
-    res.status(200).json({ answer });
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Failed to process challenge, request_id=${REQUEST_ID}, error=${error.message}`);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Helper function to run a query once the database is ready
+async function dbQuery(text, params) {
+  await dbReady();
+  return pool.query(text, params);
+}
 
-// vlookup endpoint (queries ONDC Registry for subscriber details)
-// /lookup endpoint using /v2.0/lookup with Ed25519 Authorization header
-app.post('/lookup', async (req, res) => {
-  console.log(`[${new Date().toISOString()}] /lookup: Received lookup request`);
- 
-  const {subscriber_id, country, city, domain, type} = req.body;
- 
-  try {
-    const body = {
-      subscriber_id: subscriber_id,
-      country: country,
-      city: city,
-      domain: domain,
-      type: type
-    }
-   const authHeader = await createAuthorizationHeader({
-      body: JSON.stringify(body),
-      privateKey: process.env.SIGNING_PRIVATE_KEY,
-      subscriberId: SUBSCRIBER_ID,
-      subscriberUniqueKeyId: UNIQUE_KEY_ID,
-    });
+// Helper function to wait until the database is ready, checking again every DB_RETRY_BASE_MS while it isn't
+async function waitForDatabase() {
+  for (;;) {
+    try {
+      return await dbReady();
+    } catch (error) {
+      await new Promise((resolve) => setTimeout(resolve, DB_RETRY_BASE_MS));
+    }
+  }
+}
 
-    console.log("body: ",JSON.stringify(body))
+// ACK/NACK responses and context checks for the network callbacks (see callback-checks.js)
+const { sendAck, sendNack, validateCallbackContext } = createCallbackChecks({
+  subscriberId: SUBSCRIBER_ID,
+  subscriberUrl: SUBSCRIBER_URL,
+  dbQuery,
+});
 
-    console.log("authHeader: ", authHeader)
+// Signed delivery of outbound messages, with retries and dead letters (see delivery.js)
+const { deliverMessage } = createDelivery({
+  dbQuery,
+  sign: (body) => keyProvider.createAuthorizationHeader(body),
+  retryBaseMs: OUTBOUND_RETRY_BASE_MS,
+  timeoutMs: OUTBOUND_TIMEOUT_MS,
+});
 
-    const isValid = await isHeaderValid({
-      header: authHeader,
-      body: JSON.stringify(body),
-      publicKey: process.env.ONDC_PUBLIC_KEY,
-    });
+// The callback job queue and its workers (see callback-jobs.js); finished jobs are kept for a day
+// and pruned at most once per refresh interval
+const { enqueueCallbackJob, runCallbackWorker, drainCallbackJobs } = createCallbackJobs({
+  dbQuery,
+  events: callbackJobEvents,
+  maxAttempts: CALLBACK_JOB_MAX_ATTEMPTS,
+  pollMs: CALLBACK_JOB_POLL_MS,
+  lockMs: CALLBACK_JOB_LOCK_MS,
+  retentionMs: CALLBACK_JOB_RETENTION_MS,
+  pruneIntervalMs: REGISTRY_REFRESH_INTERVAL_MS,
+});
 
+// Lifecycle transitions of the stored transactions (see lifecycle.js)
+const { advanceLifecycle, revertLifecycle } = createLifecycle({ dbQuery, findTransaction });
+
+// Client authentication, roles and rate limits (see auth.js); past rate limit windows are pruned at most once per
+// refresh interval
+const { requireClientRole, authenticateStreamToken, issueStreamToken } = createClientAuth({
+  dbQuery,
+  adminApiKey: ADMIN_API_KEY,
+  jwtSecret: JWT_SECRET,
+  jwtIssuer: process.env.JWT_ISSUER,
+  jwtAudience: process.env.JWT_AUDIENCE,
+  streamTokenSecret: STREAM_TOKEN_SECRET,
+  streamTokenTtlSeconds: STREAM_TOKEN_TTL_SECONDS,
+  rateLimitPerMinute: RATE_LIMIT_PER_MINUTE,
+  pruneIntervalMs: REGISTRY_REFRESH_INTERVAL_MS,
+});
 
-    console.log("is valid header: ", isValid)
+// Transaction, order and issue stores live in Postgres only: every read goes to the table, so any instance
+// sees what another one saved. A save only writes the top-level fields that changed since the record was read and
+// merges them into the stored row, so requests and callbacks on any instance updating different fields of the same
+// record don't overwrite each other (two updates of the same field still race, the last one wins)
+// Transactions hold what later steps of the order flow need from earlier ones (bpp, payment id, quote, order id)
+// Orders are keyed by the BPP's order id (from on_confirm) and hold the latest state plus every state change
+// IGM issues are keyed by issue id, each tied to an order from on_confirm
+// Registry entries are keyed by "subscriber_id|unique_key_id", with the in-flight lookup and last fetch time per subscriber
+const registryKeys = new Map();
+const registryLookups = new Map();
+const registryFetchedAt = new Map();
+// Used callback signatures live in seen_signatures only; expired ones are pruned at most once per refresh interval
+let seenSignaturesPrunedAt = 0;
+// Finished idempotency keys live in idempotency_keys; expired ones are pruned at most once per refresh interval
+let idempotencyKeysPrunedAt = 0;
+
+// The top-level fields of each record as findStored read it (or it was last saved), JSON-encoded, to tell what changed
+const storedFields = new WeakMap();
+
+// Helper function to remember the top-level fields of a record as they are in its table
+function rememberStoredFields(record) {
+  storedFields.set(record, Object.fromEntries(Object.entries(record).map(([field, value]) => [field, JSON.stringify(value)])));
+}
 
-    const response = await axios.post(
-      ONDC_LOOKUP_URL, // Should be set to https://<env>.registry.ondc.org/v2.0/lookup in .env
-      JSON.stringify(body),
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: authHeader,
-        },
-      }
-    );
+// Helper function to pick the top-level fields of a record that changed since it was read (all of them for a new record)
+function changedFields(record) {
+  const stored = storedFields.get(record) || {};
+  return Object.fromEntries(Object.entries(record).filter(([field, value]) => JSON.stringify(value) !== stored[field]));
+}
 
-    console.log(`[${new Date().toISOString()}] /lookup: Lookup successful, response=`, response.data);
-    res.status(200).json(response.data);
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] /lookup: Lookup failed, error=${error.message}`, error.response?.data);
-    res.status(500).json({ error: 'Failed to perform lookup', details: error.response?.data });
-  }
-});
+// Helper function to read a stored record
+async function findStored(table, keyColumn, key) {
+  if (!key) {
+    return undefined;
+  }
+
+  try {
+    const { rows } = await dbQuery(`SELECT state FROM ${table} WHERE ${keyColumn} = $1`, [key]);
+    if (rows.length > 0) {
+      rememberStoredFields(rows[0].state);
+      return rows[0].state;
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] findStored: Failed to load ${table} ${key}, error=${error.message}`);
+  }
+  return undefined;
+}
 
+async function findTransaction(transactionId) {
+  return findStored('transactions', 'transaction_id', transactionId);
+}
 
+async function findOrder(orderId) {
+  return findStored('orders', 'order_id', orderId);
+}
 
-// ondc-site-verification.html endpoint
-app.get('/ondc-site-verification.html', async (req, res) => {
-  console.log(`[${new Date().toISOString()}] /ondc-site-verification.html: Serving ONDC site verification file, request_id=${REQUEST_ID}`);
+async function findIssue(issueId) {
+  return findStored('issues', 'issue_id', issueId);
+}
 
-  try {
-    const signedContent = await signMessage(REQUEST_ID, process.env.SIGNING_PRIVATE_KEY);
-    console.log(`[${new Date().toISOString()}] /ondc-site-verification.html: Site verification file generated, request_id=${REQUEST_ID}, signed_content=${signedContent}`);
+// Helper function to get (or create) the stored state for a transaction
+async function getTransaction(transactionId) {
+  const existing = await findTransaction(transactionId);
+  if (existing) {
+    return existing;
+  }
 
-    const modifiedHTML = htmlFile.replace(/SIGNED_UNIQUE_REQ_ID/g, signedContent);
-    res.set('Content-Type', 'text/html');
-    res.send(modifiedHTML);
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] /ondc-site-verification.html: Failed to serve site verification file, request_id=${REQUEST_ID}, error=${error.message}`);
-    res.status(500).send('Internal server error');
-  }
-});
+  return {
+    transaction_id: transactionId,
+    created_at: getUTCTimestamp(),
+  };
+}
 
-// Default route
-app.get('/', async (req, res) => {
+// Persistence failures are logged rather than failing the request, so the network flow keeps working
+// The lifecycle fields are left as stored, they only change through advanceLifecycle
+async function saveTransaction(transaction) {
+  const { lifecycle_state, lifecycle_history, ...changes } = changedFields(transaction);
   try {
-    // await client.query('SELECT 1');
-    res.send('Server is running and database is connected');
-  } catch (err) {
-    res.status(500).send('Database error'); 
+    await dbQuery(
+      `INSERT INTO transactions (transaction_id, state) VALUES ($1, $2)
+       ON CONFLICT (transaction_id) DO UPDATE SET state = transactions.state || EXCLUDED.state, updated_at = now()`,
+      [transaction.transaction_id, { transaction_id: transaction.transaction_id, ...changes }]
+    );
+    rememberStoredFields(transaction);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] saveTransaction: Failed to persist transaction_id=${transaction.transaction_id}, error=${error.message}`);
   }
-});
+  return transaction;
+}
 
-// Health check route
-app.get('/health', (req, res) => {
-  console.log(`[${new Date().toISOString()}] /health: Health check requested`);
-  res.send('Health OK!!');
-});
+async function saveOrder(order) {
+  try {
+    await dbQuery(
+      `INSERT INTO orders (order_id, transaction_id, status, state) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (order_id) DO UPDATE SET
+         state = orders.state || EXCLUDED.state,
+         status = (orders.state || EXCLUDED.state)->>'status',
+         updated_at = now()`,
+      [order.order_id, order.transaction_id, order.status, { order_id: order.order_id, ...changedFields(order) }]
+    );
+    rememberStoredFields(order);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] saveOrder: Failed to persist order_id=${order.order_id}, error=${error.message}`);
+  }
+  return order;
+}
 
-// Search endpoint to initiate ONDC search
-app.post("/search", async (req, res) => {
- 
-    const { country, city, message } = req.body;
+async function saveIssue(stored) {
+  try {
+    await dbQuery(
+      `INSERT INTO issues (issue_id, order_id, status, state) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (issue_id) DO UPDATE SET
+         state = issues.state || EXCLUDED.state,
+         status = (issues.state || EXCLUDED.state)->>'state',
+         updated_at = now()`,
+      [stored.issue_id, stored.order_id, stored.state, { issue_id: stored.issue_id, ...changedFields(stored) }]
+    );
+    rememberStoredFields(stored);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] saveIssue: Failed to persist issue_id=${stored.issue_id}, error=${error.message}`);
+  }
+  return stored;
+}
 
-    if(!country || !city || !message){
-        return res.status(500).json({
-      error: "Search request failed",
-      details: "missing items in request body",
-    });
-    }
+// Helper function to record a network message we sent or received, with the HTTP status and response body
+// Returns the id of the stored message, or undefined when it could not be stored
+async function recordMessage(direction, action, payload, httpStatus, response, gatewayAuth) {
+  const context = payload?.context || {};
+  try {
+    const { rows: [message] } = await dbQuery(
+      `INSERT INTO messages (transaction_id, message_id, action, direction, counterparty_id, payload, http_status, response, gateway_auth)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+      [
+        context.transaction_id,
+        context.message_id,
+        action,
+        direction,
+        context.bpp_id,
+        payload === undefined ? null : JSON.stringify(payload),
+        httpStatus,
+        response === undefined ? null : JSON.stringify(response),
+        gatewayAuth ? JSON.stringify(gatewayAuth) : null,
+      ]
+    );
+    return message.id;
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] recordMessage: Failed to persist ${direction} ${action}, error=${error.message}`);
+    return undefined;
+  }
+}
 
-  const timestamp = new Date().toISOString();
-  const transactionId = crypto.randomUUID();
-  const messageId = crypto.randomUUID();
+// Helper function to add the HTTP status and response body to an outbound message recorded before it was sent
+async function recordMessageResponse(id, httpStatus, response) {
+  if (!id) {
+    return;
+  }
+  try {
+    await dbQuery("UPDATE messages SET http_status = $2, response = $3 WHERE id = $1", [id, httpStatus, JSON.stringify(response)]);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] recordMessageResponse: Failed to persist the response to message id=${id}, error=${error.message}`);
+  }
+}
 
-  const payload = {
-    context: {
-      domain: DOMAIN,
-      location: {
-        country: { code: country },
-        city: { code: city },
+// Helper function to store a catalog from on_search and notify listeners on every instance
+async function saveSearchResult(context, catalog) {
+  try {
+    const { rows } = await dbQuery(
+      `INSERT INTO search_results (transaction_id, message_id, bpp_id, bpp_uri, catalog)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [context.transaction_id, context.message_id, context.bpp_id, context.bpp_uri, catalog]
+    );
+    await dbQuery("SELECT pg_notify('search_results', $1)", [context.transaction_id]);
+    return rows[0].id;
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] saveSearchResult: Failed to persist catalog for transaction_id=${context.transaction_id}, error=${error.message}`);
+    return null;
+  }
+}
+
+// Helper function to load the catalogs stored for a search, optionally only those after a given id
+async function loadSearchResults(transactionId, afterId = 0) {
+  const { rows } = await dbQuery(
+    `SELECT id, bpp_id, bpp_uri, message_id, catalog, received_at
+     FROM search_results WHERE transaction_id = $1 AND id > $2 ORDER BY id`,
+    [transactionId, afterId]
+  );
+  return rows.map((row) => ({ ...row, id: Number(row.id) }));
+}
+
+// Helper function to check a cached registry entry is inside its valid_from/valid_until window
+function isRegistryKeyValid(cached) {
+  const now = Date.now();
+  return (!cached.valid_from || Date.parse(cached.valid_from) <= now) &&
+    (!cached.valid_until || now <= Date.parse(cached.valid_until));
+}
+
+// Helper function to pick the configured network_participant entries a subscribe operation registers
+// Returns { participants }, or { error } when the profile lacks a participant the operation needs
+function selectNetworkParticipants(opsNo) {
+  const operation = SUBSCRIBE_OPERATIONS[opsNo];
+  const participants = NETWORK_PARTICIPANTS.filter((participant) => operation.types.includes(participant.type) &&
+    (participant.type === 'buyerApp' || operation.msn === undefined || participant.msn === operation.msn));
+  const missing = operation.update ? [] : operation.types.filter((type) => !participants.some((participant) => participant.type === type));
+  if (!participants.length || missing.length) {
+    const needed = missing.map((type) => (type === 'sellerApp' ? `${operation.msn ? 'an MSN' : 'a non-MSN'} sellerApp` : 'a buyerApp')).join(' and ');
+    return { error: `ops_no ${opsNo} (${operation.description}) needs ${needed || 'a network participant'} in network_participants of the "${ONDC_ENV}" environment profile` };
+  }
+  return { participants };
+}
+
+// Helper function to build the lookups of our own subscriber_id, one per domain and role we have configured
+function ownLookupPayloads() {
+  return [...new Map(NETWORK_PARTICIPANTS.map((participant) => {
+    const type = participant.type === 'sellerApp' ? 'BPP' : 'BAP';
+    return [`${participant.domain}|${type}`, { subscriber_id: SUBSCRIBER_ID, country: COUNTRY, domain: participant.domain, type }];
+  })).values()];
+}
+
+// Helper function to send a signed lookup to the registry and return the entries it lists
+async function registryLookup(lookUpPayload) {
+  const lookUpAuthHeader = await keyProvider.createAuthorizationHeader(JSON.stringify(lookUpPayload));
+
+  const lookupResponse = await axios.post(ONDC_LOOKUP_URL, lookUpPayload, {
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: lookUpAuthHeader,
+    },
+  });
+  return Array.isArray(lookupResponse.data) ? lookupResponse.data : [];
+}
+
+// Helper function to fetch every key a subscriber has on the registry and replace the cached ones
+// Keys the registry no longer returns are dropped, so a rotated-out key stops verifying
+async function fetchRegistryKeys(subscriberId, type) {
+  const lookUpPayload = {
+    subscriber_id: subscriberId,
+    country: COUNTRY,
+    domain: DOMAIN,
+    type,
+  };
+
+  const lookupEntries = await registryLookup(lookUpPayload);
+  registryFetchedAt.set(subscriberId, Date.now());
+
+  const entries = lookupEntries
+    .filter((entry) => entry.subscriber_id === subscriberId && entry.signing_public_key);
+  console.log(
+    `[${new Date().toISOString()}] Registry lookup: subscriber_id=${subscriberId} returned keys=${entries.map((entry) => entry.ukId || entry.unique_key_id).join(",")}`
+  );
+
+  for (const cacheKey of registryKeys.keys()) {
+    if (cacheKey.startsWith(`${subscriberId}|`)) {
+      registryKeys.delete(cacheKey);
+    }
+  }
+  const uniqueKeyIds = [];
+  for (const entry of entries) {
+    // Older registries don't report the key id; such an entry is cached under "" and only when it is the subscriber's only key
+    const uniqueKeyId = entry.ukId || entry.unique_key_id || (entries.length === 1 ? "" : null);
+    if (uniqueKeyId === null) {
+      continue;
+    }
+    const cached = {
+      subscriber_id: subscriberId,
+      unique_key_id: uniqueKeyId,
+      signing_public_key: entry.signing_public_key,
+      valid_from: entry.valid_from || null,
+      valid_until: entry.valid_until || null,
+      entry,
+      fetched_at: new Date().toISOString(),
+    };
+    registryKeys.set(`${subscriberId}|${uniqueKeyId}`, cached);
+    uniqueKeyIds.push(uniqueKeyId);
+  }
+
+  try {
+    await dbQuery("DELETE FROM registry_keys WHERE subscriber_id = $1 AND NOT (unique_key_id = ANY($2))", [subscriberId, uniqueKeyIds]);
+    for (const uniqueKeyId of uniqueKeyIds) {
+      const cached = registryKeys.get(`${subscriberId}|${uniqueKeyId}`);
+      await dbQuery(
+        `INSERT INTO registry_keys (subscriber_id, unique_key_id, signing_public_key, valid_from, valid_until, entry, fetched_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (subscriber_id, unique_key_id) DO UPDATE SET signing_public_key = $3, valid_from = $4, valid_until = $5, entry = $6, fetched_at = $7`,
+        [subscriberId, uniqueKeyId, cached.signing_public_key, cached.valid_from, cached.valid_until, cached.entry, cached.fetched_at]
+      );
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] fetchRegistryKeys: Failed to persist keys for subscriber_id=${subscriberId}, error=${error.message}`);
+  }
+}
+
+// Helper function to read a registry key from the memory cache, falling back to the database
+async function findRegistryKey(subscriberId, uniqueKeyId) {
+  const cacheKey = `${subscriberId}|${uniqueKeyId}`;
+  if (registryKeys.has(cacheKey)) {
+    return registryKeys.get(cacheKey);
+  }
+  const { rows } = await dbQuery(
+    "SELECT * FROM registry_keys WHERE subscriber_id = $1 AND unique_key_id = $2",
+    [subscriberId, uniqueKeyId]
+  );
+  return cacheRegistryRows(rows)[0] || null;
+}
+
+// Helper function to put registry_keys rows into the memory cache, returning the cached entries
+function cacheRegistryRows(rows) {
+  return rows.map((row) => {
+    const cached = {
+      ...row,
+      valid_from: row.valid_from && row.valid_from.toISOString(),
+      valid_until: row.valid_until && row.valid_until.toISOString(),
+      fetched_at: row.fetched_at.toISOString(),
+    };
+    registryKeys.set(`${row.subscriber_id}|${row.unique_key_id}`, cached);
+    return cached;
+  });
+}
+
+// Helper function to check a cached registry entry was fetched within REGISTRY_CACHE_TTL_MS and is inside its validity window
+function isRegistryKeyUsable(cached) {
+  return Date.now() - Date.parse(cached.fetched_at) < REGISTRY_CACHE_TTL_MS && isRegistryKeyValid(cached);
+}
+
+// Helper function to fetch a subscriber's keys from the registry, unless that happened within the refresh interval
+// Concurrent callers for the same subscriber share one registry call
+async function refreshRegistryKeys(subscriberId, type) {
+  const fetchedRecently = Date.now() - (registryFetchedAt.get(subscriberId) || 0) < REGISTRY_REFRESH_INTERVAL_MS;
+  if (!fetchedRecently && !registryLookups.has(subscriberId)) {
+    registryLookups.set(
+      subscriberId,
+      fetchRegistryKeys(subscriberId, type).finally(() => registryLookups.delete(subscriberId))
+    );
+  }
+  await registryLookups.get(subscriberId);
+}
+
+// Helper function to get a subscriber's signing key for the unique_key_id it signed with
+// Serves from cache while the entry is fresh and inside its validity window, otherwise fetches from the registry
+// refresh forces a fetch (for key rotation)
+async function lookupSigningKey(subscriberId, uniqueKeyId, { type = "BPP", refresh = false } = {}) {
+  const cached = await findRegistryKey(subscriberId, uniqueKeyId) || await findRegistryKey(subscriberId, "");
+  if (refresh || !cached || !isRegistryKeyUsable(cached)) {
+    await refreshRegistryKeys(subscriberId, type);
+  }
+
+  const current = registryKeys.get(`${subscriberId}|${uniqueKeyId}`) || registryKeys.get(`${subscriberId}|`);
+  return current && isRegistryKeyValid(current) ? current : null;
+}
+
+// Helper function to get every currently valid registry entry of a subscriber, e.g. to check its subscriber_url
+async function lookupRegistryEntries(subscriberId, { type = "BPP" } = {}) {
+  const cachedEntries = () => [...registryKeys.values()].filter((cached) => cached.subscriber_id === subscriberId);
+  if (!cachedEntries().length) {
+    const { rows } = await dbQuery("SELECT * FROM registry_keys WHERE subscriber_id = $1", [subscriberId]);
+    cacheRegistryRows(rows);
+  }
+  if (!cachedEntries().some(isRegistryKeyUsable)) {
+    await refreshRegistryKeys(subscriberId, type);
+  }
+  return cachedEntries().filter(isRegistryKeyValid).map((cached) => cached.entry);
+}
+
+// Helper function to work out where to send a BPP request in a transaction
+// The URI is the one from that BPP's on_search catalog for the transaction (or the caller's, if none was received)
+// and it must be a subscriber_url the BPP has registered
+// Returns { bppUri }, or { status, error } to send back
+async function resolveBppUri(transactionId, bppId, requestedUri) {
+  const normalize = (uri) => uri?.replace(/\/$/, "");
+  let catalogUri;
+  try {
+    const { rows } = await dbQuery(
+      "SELECT bpp_uri FROM search_results WHERE transaction_id = $1 AND bpp_id = $2 AND bpp_uri IS NOT NULL ORDER BY id DESC LIMIT 1",
+      [transactionId, bppId]
+    );
+    catalogUri = rows[0]?.bpp_uri;
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] resolveBppUri: Failed to read the on_search catalog of bpp_id=${bppId}, error=${error.message}`);
+    return { status: 500, error: "Failed to read the on_search catalog of the BPP" };
+  }
+  if (catalogUri && requestedUri && normalize(catalogUri) !== normalize(requestedUri)) {
+    return { status: 400, error: `bpp_uri does not match ${catalogUri} from the on_search catalog of ${bppId}` };
+  }
+
+  const bppUri = catalogUri || requestedUri;
+  if (!bppUri) {
+    return { status: 400, error: `No bpp_uri given and no on_search catalog received from ${bppId} for this transaction` };
+  }
+
+  let entries;
+  try {
+    entries = await lookupRegistryEntries(bppId);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] resolveBppUri: Lookup failed for bpp_id=${bppId}, error=${error.message}`, error.response?.data);
+    return { status: 502, error: "Failed to perform lookup for BPP" };
+  }
+  if (!entries.some((entry) => normalize(entry.subscriber_url) === normalize(bppUri))) {
+    return { status: 400, error: `bpp_uri ${bppUri} is not registered for ${bppId}` };
+  }
+
+  return { bppUri };
+}
+
+// Helper function to apply the lifecycle transition of a verified callback before it is ACKed
+// Returns null when the callback fits the transaction's lifecycle, otherwise the error to NACK it with
+async function advanceCallbackLifecycle({ context, message }) {
+  if (!LIFECYCLE_EVENTS[context.action]) {
+    return null;
+  }
+  const transition = await advanceLifecycle(context.transaction_id, context.action, message.order?.status);
+  return transition.error || null;
+}
+
+// What each request leaves behind once the gateway or BPP has accepted it, for the steps and callbacks that follow
+// Everything is read from the payload that was sent, so a replayed dead letter is recorded like the route's own request
+const SENT_REQUEST_RECORDERS = {
+  search: async ({ context }) => saveTransaction(Object.assign(await getTransaction(context.transaction_id), {
+    country: context.location.country.code,
+    city: context.location.city.code,
+    search_message_id: context.message_id,
+    search_expires_at: new Date(Date.parse(context.timestamp) + parseDurationMs(context.ttl)).toISOString(),
+  })),
+  select: async ({ context }) => saveTransaction(Object.assign(await getTransaction(context.transaction_id), {
+    country: context.location.country.code,
+    city: context.location.city.code,
+    bpp_id: context.bpp_id,
+    bpp_uri: context.bpp_uri,
+    select_message_id: context.message_id,
+  })),
+  // Remember the BPP and payment id so /confirm can reuse them
+  init: async ({ context, message }) => saveTransaction(Object.assign(await getTransaction(context.transaction_id), {
+    country: context.location.country.code,
+    city: context.location.city.code,
+    bpp_id: context.bpp_id,
+    bpp_uri: context.bpp_uri,
+    payment_id: message.order.payments[0].id,
+    init_message_id: context.message_id,
+  })),
+  confirm: async ({ context }) => saveTransaction(Object.assign(await getTransaction(context.transaction_id), {
+    confirm_message_id: context.message_id,
+  })),
+  cancel: async ({ context }) => saveTransaction(Object.assign(await getTransaction(context.transaction_id), {
+    cancel_message_id: context.message_id,
+  })),
+  // Remember what we asked for so on_update can explain the change
+  update: async ({ context, message }) => {
+    const transaction = await getTransaction(context.transaction_id);
+    transaction.update_requests = { ...transaction.update_requests, [context.message_id]: message.update_target };
+    return saveTransaction(transaction);
+  },
+  rating: async ({ context, message }) => {
+    const order = await findOrder((await findTransaction(context.transaction_id))?.order_id);
+    if (!order) {
+      return undefined;
+    }
+    order.ratings = [...(order.ratings || []), ...message.ratings.map((rating) => ({ ...rating, at: getUTCTimestamp() }))];
+    return saveOrder(order);
+  },
+  issue: async ({ message }) => {
+    const complainantActions = message.issue.issue_actions?.complainant_actions || [];
+    const complainantAction = complainantActions[complainantActions.length - 1]?.complainant_action;
+    return recordIssue(message.issue, message.issue.order_details.id, 'issue', complainantAction);
+  },
+};
+
+// Helper function to record what a request the gateway or BPP accepted leaves behind
+// Returns what the action's recorder stored (the transaction, order or issue), if it has one
+async function recordSentRequest(payload) {
+  const recorder = SENT_REQUEST_RECORDERS[payload.context.action];
+  return recorder ? recorder(payload) : undefined;
+}
+
+// Helper function to merge an order from a callback into the order store
+// Appends a history entry whenever the order status or a fulfillment state changes
+async function recordOrderState(transactionId, orderData, action) {
+  if (!orderData.id) {
+    return null;
+  }
+
+  const order = await findOrder(orderData.id) || {
+    order_id: orderData.id,
+    transaction_id: transactionId,
+    fulfillment_states: {},
+    history: [],
+  };
+  const now = getUTCTimestamp();
+
+  if (orderData.status && orderData.status !== order.status) {
+    order.history.push({ action, order_status: orderData.status, at: now });
+    order.status = orderData.status;
+  }
+
+  for (const fulfillment of orderData.fulfillments || []) {
+    const state = fulfillment.state?.descriptor?.code;
+    if (state && order.fulfillment_states[fulfillment.id] !== state) {
+      order.history.push({ action, fulfillment_id: fulfillment.id, fulfillment_type: fulfillment.type, state, at: now });
+      order.fulfillment_states[fulfillment.id] = state;
+    }
+  }
+
+  order.order = { ...order.order, ...orderData };
+  order.updated_at = now;
+  return saveOrder(order);
+}
+
+// Helper function to sum the quote breakup lines of a given title (e.g. CANCELLATION_CHARGES, REFUND)
+function sumBreakup(quote, title) {
+  return (quote?.breakup || [])
+    .filter((item) => (item.title || item['@ondc/org/title_type'] || '').toUpperCase() === title)
+    .reduce((total, item) => total + Number(item.price?.value || 0), 0);
+}
+
+// Helper function to record a cancellation from on_cancel/on_update against the order confirmed in on_confirm
+// A cancellation is BPP-initiated when it does not answer a /cancel we sent
+async function recordCancellation(order, context, orderData) {
+  if (!order) {
+    return null;
+  }
+
+  const transaction = await findTransaction(order.transaction_id) || {};
+  const paidAmount = Number(transaction.confirmed_order?.quote?.price?.value || 0);
+  const charges = sumBreakup(orderData.quote, 'CANCELLATION_CHARGES');
+  const refundLine = sumBreakup(orderData.quote, 'REFUND');
+  const refundPayment = (orderData.payments || []).find((payment) =>
+    (payment.type || '').toUpperCase().includes('REFUND')
+  );
+
+  // REFUND breakup lines are negative (they take money off the order), the refund is their size
+  const refundAmount = Math.abs(refundLine) || Math.max(paidAmount - charges, 0);
+
+  order.cancellation = {
+    initiated_by: transaction.cancel_message_id === context.message_id ? 'BAP' : 'BPP',
+    cancelled_by: orderData.cancellation?.cancelled_by,
+    reason_id: orderData.cancellation?.reason?.descriptor?.code || orderData.cancellation?.reason?.id,
+    paid_amount: paidAmount,
+    cancellation_charges: charges,
+    refund_amount: refundAmount,
+    refund_status: refundPayment?.status || (refundAmount > 0 ? 'PENDING' : 'NOT_APPLICABLE'),
+    currency: orderData.quote?.price?.currency || transaction.confirmed_order?.quote?.price?.currency,
+    updated_at: getUTCTimestamp(),
+  };
+  await saveOrder(order);
+  return order.cancellation;
+}
+
+// Helper function to list what changed between two versions of an order
+// Lists of objects (items, fulfillments, payments) are compared entry by entry using their id
+function diffOrder(before, after) {
+  const changes = [];
+  for (const field of ['status', 'items', 'fulfillments', 'billing', 'quote', 'payments']) {
+    if (after[field] === undefined) {
+      continue;
+    }
+
+    if (Array.isArray(after[field])) {
+      const previous = new Map((before[field] || []).map((entry, index) => [entry.id || index, entry]));
+      after[field].forEach((entry, index) => {
+        const id = entry.id || index;
+        if (!previous.has(id)) {
+          changes.push({ field, id, change: 'added', after: entry });
+        } else if (JSON.stringify(previous.get(id)) !== JSON.stringify(entry)) {
+          changes.push({ field, id, change: 'modified', before: previous.get(id), after: entry });
+        }
+        previous.delete(id);
+      });
+      for (const [id, entry] of previous) {
+        changes.push({ field, id, change: 'removed', before: entry });
+      }
+    } else if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, change: 'modified', before: before[field], after: after[field] });
+    }
+  }
+  return changes;
+}
+
+// Helper function to record an on_update against the order stored from on_confirm
+// Keeps the field changes, the revised quote total and any payment adjustments, plus who asked for it
+async function recordOrderUpdate(order, context, orderData) {
+  if (!order) {
+    return null;
+  }
+
+  const transaction = await findTransaction(order.transaction_id) || {};
+  const confirmedOrder = transaction.confirmed_order || {};
+  const changes = diffOrder(confirmedOrder, orderData);
+  const previousTotal = Number(confirmedOrder.quote?.price?.value || 0);
+  const revisedTotal = orderData.quote?.price?.value !== undefined ? Number(orderData.quote.price.value) : previousTotal;
+  const updateTarget = transaction.update_requests?.[context.message_id];
+
+  const update = {
+    message_id: context.message_id,
+    initiated_by: updateTarget ? 'BAP' : 'BPP',
+    update_target: updateTarget,
+    changes,
+    quote: {
+      previous_total: previousTotal,
+      revised_total: revisedTotal,
+      difference: revisedTotal - previousTotal,
+      currency: orderData.quote?.price?.currency || confirmedOrder.quote?.price?.currency,
+    },
+    payment_adjustments: changes.filter((change) => change.field === 'payments'),
+    at: getUTCTimestamp(),
+  };
+
+  order.updates = [...(order.updates || []), update];
+  await saveOrder(order);
+  return update;
+}
+
+// Helper function to build a complainant action as sent in issue_actions.complainant_actions
+function buildComplainantAction(complainantAction, shortDesc, updatedAt) {
+  return {
+    complainant_action: complainantAction,
+    short_desc: shortDesc,
+    updated_at: updatedAt,
+    updated_by: {
+      org: { name: `${SUBSCRIBER_ID}::${DOMAIN}` },
+      contact: { phone: MOBILE_NO, email: EMAIL_ID },
+      person: { name: NAME_OF_AUTHORISED_SIGNATORY },
+    },
+  };
+}
+
+// Helper function to move an issue along its lifecycle (OPEN -> PROCESSING -> RESOLVED/CLOSED)
+function setIssueState(stored, state, action) {
+  if (stored.state !== state) {
+    stored.history.push({ action, from: stored.state, to: state, at: getUTCTimestamp() });
+    stored.state = state;
+  }
+}
+
+// Helper function to store an issue we sent with /issue (open, escalate or close)
+async function recordIssue(issue, orderId, action, complainantAction) {
+  const order = await findOrder(orderId);
+  const stored = await findIssue(issue.id) || {
+    issue_id: issue.id,
+    order_id: orderId,
+    transaction_id: order?.transaction_id,
+    respondent_actions: [],
+    history: [],
+  };
+
+  stored.issue = issue;
+  stored.issue_type = issue.issue_type;
+  if (complainantAction === 'CLOSE') {
+    setIssueState(stored, 'CLOSED', action);
+  } else {
+    // An escalation re-opens the issue as a grievance for the GRO
+    setIssueState(stored, 'OPEN', action);
+  }
+  if (complainantAction === 'ESCALATE') {
+    stored.escalated_at = issue.updated_at;
+  }
+  stored.updated_at = getUTCTimestamp();
+  await saveIssue(stored);
+
+  if (order && !(order.issue_ids || []).includes(issue.id)) {
+    order.issue_ids = [...(order.issue_ids || []), issue.id];
+    await saveOrder(order);
+  }
+  return stored;
+}
+
+// Helper function to apply the respondent's side of an issue from on_issue/on_issue_status
+// Keeps respondent actions, the resolution and the GRO details used for escalation
+async function recordIssueResponse(issueData, action) {
+  const stored = await findIssue(issueData.id);
+  if (!stored) {
+    return null;
+  }
+
+  stored.respondent_actions = issueData.issue_actions?.respondent_actions || stored.respondent_actions;
+  stored.resolution = issueData.resolution || stored.resolution;
+  stored.resolution_provider = issueData.resolution_provider || stored.resolution_provider;
+  stored.gro = stored.resolution_provider?.respondent_info?.resolution_support?.gros || stored.gro;
+
+  const latest = stored.respondent_actions[stored.respondent_actions.length - 1];
+  if (stored.state !== 'CLOSED' && latest) {
+    setIssueState(stored, latest.respondent_action === 'RESOLVED' ? 'RESOLVED' : 'PROCESSING', action);
+  }
+  stored.updated_at = getUTCTimestamp();
+  return saveIssue(stored);
+}
+
+// Record every inbound network callback, including rejected ones, with the status and body we answered
+// and the outcome of the gateway signature check when one was made
+function recordInbound(req, res, next) {
+  const action = req.params.action || 'on_subscribe';
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.responseBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    recordMessage('inbound', action, req.body, res.statusCode, res.locals.responseBody, req.gatewayAuth);
+  });
+  next();
+}
+
+app.post(`${new URL(SUBSCRIBER_URL).pathname}/:action`, recordInbound);
+app.post(`${CALLBACK_URL}/on_subscribe`, recordInbound);
+
+// Authenticate client requests before anything else runs for them (see ADMIN_ROUTES and APP_ROUTES)
+app.get("/search/:transaction_id/stream", authenticateStreamToken);
+app.use(ADMIN_ROUTES, requireClientRole("admin"));
+app.use(APP_ROUTES, requireClientRole("app"));
+
+// Answer client retries that carry an Idempotency-Key header with the response to the first request
+// Only responses below 500 are kept, so a request that failed on our side can be retried with the same key
+async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (!key) {
+    return next();
+  }
+  const route = req.path;
+  // Keys are per client, so one client can never be answered with another's response
+  const clientKey = `${req.principal.subject}:${key}`;
+  const requestFailed = `${route.charAt(1).toUpperCase()}${route.slice(2)} request failed`;
+  // Hash the parsed body, not the raw bytes: urlencoded requests have no rawBody and would all look the same
+  const requestHash = crypto.createHash("sha256").update(JSON.stringify(req.body ?? null)).digest("hex");
+
+  try {
+    if (Date.now() - idempotencyKeysPrunedAt > REGISTRY_REFRESH_INTERVAL_MS) {
+      idempotencyKeysPrunedAt = Date.now();
+      await dbQuery("DELETE FROM idempotency_keys WHERE created_at < $1", [new Date(Date.now() - IDEMPOTENCY_KEY_TTL_MS)]);
+    }
+    const claimed = await dbQuery(
+      "INSERT INTO idempotency_keys (route, idempotency_key, request_hash) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING",
+      [route, clientKey, requestHash]
+    );
+    if (!claimed.rowCount) {
+      const { rows: [stored] } = await dbQuery("SELECT * FROM idempotency_keys WHERE route = $1 AND idempotency_key = $2", [route, clientKey]);
+      if (stored && stored.request_hash !== requestHash) {
+        return res.status(422).json({ error: requestFailed, details: "Idempotency-Key was already used with a different request body" });
+      }
+      if (stored && stored.http_status !== null) {
+        console.log(`[${new Date().toISOString()}] ${route}: Replaying stored response for Idempotency-Key=${key}`);
+        res.set("Idempotent-Replayed", "true");
+        return res.status(stored.http_status).json(stored.response);
+      }
+      const takenOver = await dbQuery(
+        "UPDATE idempotency_keys SET created_at = now() WHERE route = $1 AND idempotency_key = $2 AND http_status IS NULL AND created_at < $3",
+        [route, clientKey, new Date(Date.now() - IDEMPOTENCY_IN_FLIGHT_MS)]
+      );
+      if (!takenOver.rowCount) {
+        return res.status(409).json({ error: requestFailed, details: "A request with this Idempotency-Key is still in progress" });
+      }
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ${route}: Failed to check Idempotency-Key=${key}, error=${error.message}`);
+    return res.status(500).json({ error: requestFailed, details: "Failed to check the Idempotency-Key" });
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.responseBody = body;
+    return json(body);
+  };
+  res.on("finish", () => {
+    const query = res.statusCode < 500
+      ? dbQuery("UPDATE idempotency_keys SET http_status = $3, response = $4 WHERE route = $1 AND idempotency_key = $2", [route, clientKey, res.statusCode, JSON.stringify(res.locals.responseBody ?? null)])
+      : dbQuery("DELETE FROM idempotency_keys WHERE route = $1 AND idempotency_key = $2", [route, clientKey]);
+    query.catch((error) => {
+      console.error(`[${new Date().toISOString()}] ${route}: Failed to store the response for Idempotency-Key=${key}, error=${error.message}`);
+    });
+  });
+  next();
+}
+
+app.post(IDEMPOTENT_ROUTES, idempotent);
+
+// Subscribe endpoint (sends request to ONDC Registry)
+app.post('/subscribe', async (req, res) => {
+  const opsNo = Number(req.body?.ops_no ?? 1);
+  console.log(`[${new Date().toISOString()}] /subscribe: Received subscription request, request_id=${REQUEST_ID}, ops_no=${opsNo}`);
+
+  if (!SUBSCRIBE_OPERATIONS[opsNo]) {
+    console.warn(`[${new Date().toISOString()}] /subscribe: Unsupported ops_no=${req.body?.ops_no}`);
+    return res.status(400).json({
+      error: 'Failed to send subscription request',
+      details: `ops_no must be one of ${Object.entries(SUBSCRIBE_OPERATIONS).map(([no, operation]) => `${no} (${operation.description})`).join(', ')}`,
+    });
+  }
+  const { participants, error: participantsError } = selectNetworkParticipants(opsNo);
+  if (participantsError) {
+    console.warn(`[${new Date().toISOString()}] /subscribe: ${participantsError}`);
+    return res.status(400).json({ error: 'Failed to send subscription request', details: participantsError });
+  }
+
+  try {
+    // Generate timestamps
+    const validFrom = getUTCTimestamp();
+    const validUntil = getFutureUTCTimestamp(KEY_VALIDITY_DAYS / 365);
+    const timestamp = getUTCTimestamp();
+
+    console.log(`[${new Date().toISOString()}] /subscribe: Generated timestamps, valid_from=${validFrom}, valid_until=${validUntil}, timestamp=${timestamp}`);
+
+    // Prepare subscription payload according to schema
+    const payload = {
+      context: {
+        operation: {
+          ops_no: opsNo
+        }
       },
-      timestamp: timestamp,
-      bap_id: SUBSCRIBER_ID,
-      transaction_id: transactionId,
-      message_id: messageId,
-      version: "2.0.0",
-      action: "search",
-      bap_uri: SUBSCRIBER_URL, // This already correctly uses the SUBSCRIBER_URL variable
-      ttl: "PT30S",
-    },
-    message: message
-  };
+      message: {
+        request_id: REQUEST_ID, // Using env variable for consistency
+        timestamp: timestamp,
+        entity: {
+          gst: {
+            legal_entity_name: LEGAL_ENTITY_NAME, // Using env variable
+            business_address: BUSINESS_ADDRESS, // Using env variable
+            city_code: [
+              CITY_CODE // Using env variable
+            ],
+            gst_no: GST_NO // Using env variable
+          },
+          pan: {
+            name_as_per_pan: PAN_NAME, // Using env variable
+            pan_no: PAN_NO, // Using env variable
+            date_of_incorporation: PAN_DATE_OF_INCORPORATION // Using env variable
+          },
+          name_of_authorised_signatory: NAME_OF_AUTHORISED_SIGNATORY, // Using env variable
+          address_of_authorised_signatory: ADDRESS_OF_AUTHORISED_SIGNATORY, // Using env variable
+          email_id: EMAIL_ID, // Using env variable
+          mobile_no: parseInt(MOBILE_NO), // Ensure mobile_no is an integer
+          country: COUNTRY, // Using env variable
+          subscriber_id: SUBSCRIBER_ID, // Using env variable
+          unique_key_id: UNIQUE_KEY_ID, // Using env variable
+          callback_url: CALLBACK_URL, // Using env variable
+          key_pair: {
+            signing_public_key: SIGNING_PUBLIC_KEY, // From the key provider
+            encryption_public_key: ENCRYPTION_PUBLIC_KEY, // From the key provider
+            valid_from: validFrom,
+            valid_until: validUntil
+          }
+        },
+        network_participant: participants
+      }
+    };
 
-  console.log(
-    `[${new Date().toISOString()}] /search: Final payload=`,
-    JSON.stringify(payload, null, 2)
-  );
+    console.log(`[${new Date().toISOString()}] /subscribe: Sending subscription request to ONDC Registry (${ONDC_SUBSCRIBE_URL}), payload=`, JSON.stringify(payload, null, 2));
 
-  try {
-    const authHeader = await createAuthorizationHeader({
-      body: JSON.stringify(payload),
-      privateKey: process.env.SIGNING_PRIVATE_KEY,
-      subscriberId: SUBSCRIBER_ID,
-      subscriberUniqueKeyId: UNIQUE_KEY_ID,
-    });
-    console.log("public key = ", process.env.REQUEST_PUBLIC_KEY);
-    const isValid = await isHeaderValid({
-      header: authHeader,
-      body: JSON.stringify(payload),
-      publicKey: process.env.REQUEST_PUBLIC_KEY,
+    // Send subscription request to ONDC Registry
+    const response = await axios.post(ONDC_SUBSCRIBE_URL, payload, {
+      headers: { 'Content-Type': 'application/json' },
     });
 
-    console.log(`[${new Date().toISOString()}] /search: isValidHeader=${isValid}`);
+    // Log the full response from ONDC Registry
+    console.log(`[${new Date().toISOString()}] /subscribe: Subscription request successful, response=`, JSON.stringify(response.data, null, 2));
+
+    await recordMessage('outbound', 'subscribe', payload, response.status, response.data);
+
+    res.status(200).json({
+      message: 'Subscription request sent successfully to ONDC Registry',
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /subscribe: Failed to send subscription request, error=${error.message}`, error.response?.data);
+    if (error.response) {
+      await recordMessage('outbound', 'subscribe', error.config?.data ? JSON.parse(error.config.data) : undefined, error.response.status, error.response.data);
+    }
+    res.status(500).json({ error: 'Failed to send subscription request', details: error.response?.data });
+  }
+});
+
+// Subscription endpoint (what we sent to the ONDC Registry and what its lookup returns for us now)
+app.get('/subscription', async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /subscription: Loading subscription of subscriber_id=${SUBSCRIBER_ID}`);
+
+  try {
+    const { rows } = await dbQuery(
+      "SELECT payload, http_status, response, created_at FROM messages WHERE direction = 'outbound' AND action = 'subscribe' ORDER BY id DESC LIMIT 20"
+    );
+    const history = rows.map((row) => ({
+      ops_no: row.payload?.context?.operation?.ops_no,
+      sent_at: row.created_at,
+      http_status: row.http_status,
+      response: row.response,
+    }));
+    const registered = rows.find((row) => row.http_status === 200 && row.response?.message?.ack?.status !== 'NACK');
+
+    const registry = await Promise.all(ownLookupPayloads().map(async (lookUpPayload) => {
+      try {
+        return { ...lookUpPayload, entries: await registryLookup(lookUpPayload) };
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] /subscription: Registry lookup failed, domain=${lookUpPayload.domain}, type=${lookUpPayload.type}, error=${error.message}`);
+        return { ...lookUpPayload, error: error.response?.data || error.message };
+      }
+    }));
+
+    res.status(200).json({
+      environment: ONDC_ENV,
+      subscriber_id: SUBSCRIBER_ID,
+      unique_key_id: UNIQUE_KEY_ID,
+      configured: NETWORK_PARTICIPANTS,
+      registered: registered ? {
+        ops_no: registered.payload.context.operation.ops_no,
+        sent_at: registered.created_at,
+        key_pair: registered.payload.message.entity.key_pair,
+        network_participant: registered.payload.message.network_participant,
+      } : null,
+      history,
+      registry,
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /subscription: Failed to load subscription, error=${error.message}`);
+    res.status(500).json({ error: 'Subscription request failed', details: error.message });
+  }
+});
+
+// Endpoint for CALLBACK_URL=/ondc/onboarding
+app.post(`${CALLBACK_URL}/on_subscribe`, (req, res) => { // Changed to use CALLBACK_URL variable
+  console.log(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Received challenge from ONDC Registry, request_id=${REQUEST_ID}, body=`, req.body);
+
+  try {
+    const { subscriber_id, challenge } = req.body;
+    if (!challenge) {
+      console.warn(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Challenge missing in request body, request_id=${REQUEST_ID}, subscriber_id=${subscriber_id}`);
+      return res.status(400).json({ error: 'Challenge is required' });
+    }
+
+    console.log(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Processing challenge for subscriber_id=${subscriber_id}`);
+
+    const { answer, unique_key_id } = keyProvider.decryptChallenge(challenge);
+    console.log(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Challenge decrypted successfully with unique_key_id=${unique_key_id}, request_id=${REQUEST_ID}, answer=${answer}`);
+
+    res.status(200).json({ answer });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ${CALLBACK_URL}/on_subscribe: Failed to process challenge, request_id=${REQUEST_ID}, error=${error.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// vlookup endpoint (queries ONDC Registry for subscriber details)
+// /lookup endpoint using /v2.0/lookup with Ed25519 Authorization header
+app.post('/lookup', async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /lookup: Received lookup request`);
+ 
+  const {subscriber_id, country, city, domain, type} = req.body;
+ 
+  try {
+    const body = {
+      subscriber_id: subscriber_id,
+      country: country,
+      city: city,
+      domain: domain,
+      type: type
+    }
+   const authHeader = await keyProvider.createAuthorizationHeader(JSON.stringify(body));
+
+    console.log("body: ",JSON.stringify(body))
+
+    console.log("authHeader: ", authHeader)
+
+    const isValid = await isHeaderValid({
+      header: authHeader,
+      body: JSON.stringify(body),
+      publicKey: ONDC_PUBLIC_KEY,
+    });
+
+
+    console.log("is valid header: ", isValid)
+
+    const response = await axios.post(
+      ONDC_LOOKUP_URL, // Should be set to https://<env>.registry.ondc.org/v2.0/lookup in .env
+      JSON.stringify(body),
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: authHeader,
+        },
+      }
+    );
+
+    console.log(`[${new Date().toISOString()}] /lookup: Lookup successful, response=`, response.data);
+    res.status(200).json(response.data);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /lookup: Lookup failed, error=${error.message}`, error.response?.data);
+    res.status(500).json({ error: 'Failed to perform lookup', details: error.response?.data });
+  }
+});
+
+
+
+// ondc-site-verification.html endpoint
+app.get('/ondc-site-verification.html', async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /ondc-site-verification.html: Serving ONDC site verification file, request_id=${REQUEST_ID}`);
+
+  try {
+    const signedContent = await keyProvider.signMessage(REQUEST_ID);
+    console.log(`[${new Date().toISOString()}] /ondc-site-verification.html: Site verification file generated, request_id=${REQUEST_ID}, signed_content=${signedContent}`);
+
+    const modifiedHTML = htmlFile.replace(/SIGNED_UNIQUE_REQ_ID/g, signedContent);
+    res.set('Content-Type', 'text/html');
+    res.send(modifiedHTML);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /ondc-site-verification.html: Failed to serve site verification file, request_id=${REQUEST_ID}, error=${error.message}`);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Onboarding self-check: runs what the registry checks and reports a pass/fail checklist (see doctor.js)
+app.get('/doctor', async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /doctor: Running onboarding checks for subscriber_id=${SUBSCRIBER_ID}`);
+
+  // The registry fetches the site verification page from our public origin, never from the Host of this request
+  const checks = await runOnboardingChecks(new URL(SUBSCRIBER_URL).origin);
+  const failed = checks.filter((check) => check.status === 'fail');
+  console.log(`[${new Date().toISOString()}] /doctor: ${checks.length - failed.length}/${checks.length} checks passed${failed.length ? `, failed=${failed.map((check) => check.name).join(',')}` : ''}`);
+  res.status(failed.length ? 503 : 200).json({
+    status: failed.length ? 'fail' : 'pass',
+    environment: ONDC_ENV,
+    subscriber_id: SUBSCRIBER_ID,
+    unique_key_id: UNIQUE_KEY_ID,
+    checks,
+  });
+});
+
+// Default route
+app.get('/', async (req, res) => {
+  try {
+    await dbQuery('SELECT 1');
+    res.send('Server is running and database is connected');
+  } catch (err) {
+    res.status(500).send('Database error'); 
+  }
+});
+
+// Health check route
+app.get('/health', (req, res) => {
+  console.log(`[${new Date().toISOString()}] /health: Health check requested`);
+  res.send('Health OK!!');
+});
+
+// Search endpoint to initiate ONDC search
+app.post("/search", async (req, res) => {
+ 
+    const { country, city, message } = req.body;
+
+    if(!country || !city || !message){
+        return res.status(500).json({
+      error: "Search request failed",
+      details: "missing items in request body",
+    });
+    }
+
+  const timestamp = new Date().toISOString();
+  const transactionId = crypto.randomUUID();
+  const messageId = crypto.randomUUID();
+
+  const payload = {
+    context: {
+      domain: DOMAIN,
+      location: {
+        country: { code: country },
+        city: { code: city },
+      },
+      timestamp: timestamp,
+      bap_id: SUBSCRIBER_ID,
+      transaction_id: transactionId,
+      message_id: messageId,
+      version: "2.0.0",
+      action: "search",
+      bap_uri: SUBSCRIBER_URL, // This already correctly uses the SUBSCRIBER_URL variable
+      ttl: "PT30S",
+    },
+    message: message
+  };
+
+  console.log(
+    `[${new Date().toISOString()}] /search: Final payload=`,
+    JSON.stringify(payload, null, 2)
+  );
+
+  const schemaErrors = validatePayload("search", payload);
+  if (schemaErrors.length) {
+    console.warn(`[${new Date().toISOString()}] /search: Payload failed schema validation`, JSON.stringify(schemaErrors));
+    return res.status(400).json({
+      error: "Search request failed",
+      details: "Payload does not match the ONDC search schema",
+      errors: schemaErrors,
+    });
+  }
+
+  try {
+    const { response, stored: transaction } = await sendNetworkRequest(ONDC_GATEWAY_URL, payload);
+
+    console.log(
+      `[${new Date().toISOString()}] /search: Search successful, response=`,
+      JSON.stringify(response.data)
+    );
+
+
+    res.status(200).json({
+      message: "Search request sent successfully to ONDC gateway",
+      transaction_id: transactionId,
+      expires_at: transaction?.search_expires_at,
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /search: Search failed, error=${error.message}`,
+      error.response?.data
+    );
+    res.status(500).json({
+      error: "Search request failed",
+      details: error.response?.data || error.message,
+      dead_letter_id: error.deadLetterId,
+    });
+  }
+});
+
+
+// Callback pipeline for every on_* action with a handler registered in callbacks.js:
+// parse and verify the signature (verifyBppCallback) → validate the context and schema (validateCallback) →
+// the handler's own checks → the transaction's lifecycle transition → ACK → dispatch: the callback is queued and a callback worker runs the handler's process,
+// then its hooks (processCallbackJob), so large catalogs never hold up the ACK
+app.post(`${new URL(SUBSCRIBER_URL).pathname}/:action`, async (req, res, next) => {
+  const { action } = req.params;
+  const handler = callbackHandler(action);
+  if (!handler) {
+    return next();
+  }
+  console.log(
+    `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/${action}: Received ${handler.description} from bpp_id=${req.body.context?.bpp_id}, ${req.rawBody?.length} bytes`
+  );
+
+  try {
+    const failure = (await verifyBppCallback(req)) || (await validateCallback(req));
+    if (failure) {
+      console.warn(`[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/${action}: ${failure.error} for bpp_id=${req.body.context?.bpp_id}`);
+      return sendNack(res, failure.status, failure.ondcError, failure.error);
+    }
+
+    const domainError = await handler.validate(req.body);
+    if (domainError) {
+      return sendNack(res, 400, ONDC_ERRORS.DOMAIN_ERROR, domainError);
+    }
+
+    const lifecycleError = await advanceCallbackLifecycle(req.body);
+    if (lifecycleError) {
+      console.warn(`[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/${action}: ${lifecycleError} (transaction_id=${req.body.context.transaction_id})`);
+      return sendNack(res, 400, ONDC_ERRORS.OUT_OF_SEQUENCE, lifecycleError);
+    }
+
+    await enqueueCallbackJob(req.body);
+    sendAck(res);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/${action}: Failed to queue ${handler.description}, error=${error.message}`);
+    sendNack(res, 500, ONDC_ERRORS.INTERNAL_ERROR, `Failed to process ${action}`);
+  }
+});
+
+// On_search: store the catalog and notify the search's listeners on every instance
+registerCallbackHandler("on_search", {
+  description: "search results",
+  process: async ({ context, message }) => {
+    const catalog = message.catalog || {};
+    if (!await saveSearchResult(context, catalog)) {
+      throw new Error("Failed to store the catalog");
+    }
+    console.log(
+      `[${new Date().toISOString()}] /on_search: Stored catalog with ${catalog.providers?.length || 0} provider(s) from bpp_id=${context.bpp_id}`
+    );
+  },
+});
+
+// Poll the catalogs received so far for a search
+app.get("/search/:transaction_id/results", async (req, res) => {
+  const { transaction_id } = req.params;
+
+  try {
+    const transaction = await findTransaction(transaction_id);
+    if (!transaction?.search_expires_at) {
+      return res.status(404).json({ error: "No search found for this transaction_id" });
+    }
+
+    const results = await loadSearchResults(transaction_id, Number(req.query.after) || 0);
+    res.status(200).json({
+      transaction_id,
+      expires_at: transaction.search_expires_at,
+      complete: Date.now() >= Date.parse(transaction.search_expires_at),
+      results,
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /search/results: Failed to load results for transaction_id=${transaction_id}, error=${error.message}`);
+    res.status(500).json({ error: "Failed to load search results", details: error.message });
+  }
+});
+
+// Issue a token to open the results stream of a search with EventSource, which can't send credentials in headers
+app.post("/search/:transaction_id/stream-token", async (req, res) => {
+  const { transaction_id } = req.params;
+
+  try {
+    const transaction = await findTransaction(transaction_id);
+    if (!transaction?.search_expires_at) {
+      return res.status(404).json({ error: "No search found for this transaction_id" });
+    }
+
+    const { token, expiresAt } = issueStreamToken(req.principal, transaction_id);
+    res.status(200).json({
+      token,
+      expires_at: expiresAt,
+      stream_url: `/search/${transaction_id}/stream?token=${token}`,
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /search/stream-token: Failed to issue a token for transaction_id=${transaction_id}, error=${error.message}`);
+    res.status(500).json({ error: "Failed to issue stream token", details: error.message });
+  }
+});
+
+// Stream each catalog as a Server-Sent Event as it arrives, until the search ttl expires
+// Catalogs received before the client connected (or after Last-Event-ID on reconnect) are replayed first
+app.get("/search/:transaction_id/stream", async (req, res) => {
+  const { transaction_id } = req.params;
+
+  const transaction = await findTransaction(transaction_id);
+  if (!transaction?.search_expires_at) {
+    return res.status(404).json({ error: "No search found for this transaction_id" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  let lastId = Number(req.headers["last-event-id"]) || 0;
+  let pending = Promise.resolve();
+
+  // Sends are chained so a burst of notifications never sends the same catalog twice
+  const sendNewResults = () => {
+    pending = pending
+      .then(async () => {
+        for (const result of await loadSearchResults(transaction_id, lastId)) {
+          res.write(`id: ${result.id}\nevent: catalog\ndata: ${JSON.stringify(result)}\n\n`);
+          lastId = result.id;
+        }
+      })
+      .catch((error) => {
+        console.error(`[${new Date().toISOString()}] /search/stream: Failed to send results for transaction_id=${transaction_id}, error=${error.message}`);
+      });
+  };
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    searchEvents.off(transaction_id, sendNewResults);
+  };
+  const expiry = setTimeout(() => {
+    sendNewResults();
+    pending.then(() => {
+      cleanup();
+      res.write("event: end\ndata: {}\n\n");
+      res.end();
+    });
+  }, Math.max(Date.parse(transaction.search_expires_at) - Date.now(), 0));
+
+  searchEvents.on(transaction_id, sendNewResults);
+  req.on("close", cleanup);
+  sendNewResults();
+});
+
+// Select endpoint to initiate ONDC select
+app.post("/select", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /select: Received select request`);
+
+  const { country, city, transaction_id, bpp_id, message } = req.body;
+
+  // Validate required fields
+  if (!country || !city || !transaction_id || !bpp_id || !message) {
+    console.warn(
+      `[${new Date().toISOString()}] /select: Missing required fields in request body`
+    );
+    return res.status(400).json({
+      error: "Select request failed",
+      details: "Missing country, city, transaction_id, bpp_id, or message in request body",
+    });
+  }
+
+  const lifecycle = lifecycleTransition(await findTransaction(transaction_id), "select");
+  if (lifecycle.error) {
+    console.warn(`[${new Date().toISOString()}] /select: ${lifecycle.error} (transaction_id=${transaction_id})`);
+    return res.status(409).json({
+      error: "Select request failed",
+      details: lifecycle.error,
+      state: lifecycle.from || null,
+    });
+  }
+
+  // bpp_uri is optional once the BPP's on_search catalog has been received
+  const { bppUri: bpp_uri, status: bppUriStatus, error: bppUriError } = await resolveBppUri(transaction_id, bpp_id, req.body.bpp_uri);
+  if (bppUriError) {
+    console.warn(`[${new Date().toISOString()}] /select: ${bppUriError}`);
+    return res.status(bppUriStatus).json({
+      error: "Select request failed",
+      details: bppUriError,
+    });
+  }
+
+  const timestamp = new Date().toISOString();
+  const messageId = crypto.randomUUID();
+
+  // Construct the select payload
+  const payload = {
+    context: {
+      domain: DOMAIN,
+      location: {
+        country: { code: country },
+        city: { code: city },
+      },
+      timestamp: timestamp,
+      bap_id: SUBSCRIBER_ID,
+      transaction_id: transaction_id,
+      message_id: messageId,
+      version: "2.0.0",
+      action: "select",
+      bap_uri: SUBSCRIBER_URL,
+      bpp_id: bpp_id, // Dynamic from on_search response
+      bpp_uri: bpp_uri, // Dynamic from on_search response
+      ttl: "PT30S",
+    },
+    message: message, // Contains order details (e.g., provider, items, fulfillments)
+  };
+
+  console.log(
+    `[${new Date().toISOString()}] /select: Final payload=`,
+    JSON.stringify(payload, null, 2)
+  );
+
+  const schemaErrors = validatePayload("select", payload);
+  if (schemaErrors.length) {
+    console.warn(`[${new Date().toISOString()}] /select: Payload failed schema validation`, JSON.stringify(schemaErrors));
+    return res.status(400).json({
+      error: "Select request failed",
+      details: "Payload does not match the ONDC select schema",
+      errors: schemaErrors,
+    });
+  }
+
+  try {
+    // Send select request to BPP (signed and retried by deliverMessage)
+    const { response } = await sendNetworkRequest(`${bpp_uri.replace(/\/$/, "")}/select`, payload);
+
+    console.log(
+      `[${new Date().toISOString()}] /select: Select request successful, response=`,
+      JSON.stringify(response.data, null, 2)
+    );
+
+    res.status(200).json({
+      message: "Select request sent successfully to ONDC BPP",
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /select: Select request failed, error=${error.message}`,
+      error.response?.data
+    );
+    res.status(500).json({
+      error: "Select request failed",
+      details: error.response?.data || error.message,
+      dead_letter_id: error.deadLetterId,
+    });
+  }
+});
+
+
+// On_select endpoint to receive ONDC select results
+registerCallbackHandler("on_select", {
+  description: "select results",
+  process: async ({ context, message }) => {
+    const selectResults = message.order || {};
+    console.log(
+      `[${new Date().toISOString()}] /on_select: Processed select results for transaction_id=${context.transaction_id}, order=`,
+      JSON.stringify(selectResults)
+    );
+  },
+});
+
+//init endpoint
+app.post("/init", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /init: Received init request`);
+
+  const { country, city, transaction_id, bpp_id, message } = req.body;
+
+  if (!country || !city || !transaction_id || !bpp_id || !message) {
+    console.warn(
+      `[${new Date().toISOString()}] /init: Missing required fields`
+    );
+    return res.status(400).json({
+      error: "Missing required fields in request body",
+    });
+  }
+
+  const lifecycle = lifecycleTransition(await findTransaction(transaction_id), "init");
+  if (lifecycle.error) {
+    console.warn(`[${new Date().toISOString()}] /init: ${lifecycle.error} (transaction_id=${transaction_id})`);
+    return res.status(409).json({
+      error: "Init request failed",
+      details: lifecycle.error,
+      state: lifecycle.from || null,
+    });
+  }
+
+  // bpp_uri is optional once the BPP's on_search catalog has been received
+  const { bppUri: bpp_uri, status: bppUriStatus, error: bppUriError } = await resolveBppUri(transaction_id, bpp_id, req.body.bpp_uri);
+  if (bppUriError) {
+    console.warn(`[${new Date().toISOString()}] /init: ${bppUriError}`);
+    return res.status(bppUriStatus).json({
+      error: "Init request failed",
+      details: bppUriError,
+    });
+  }
+
+  const timestamp = new Date().toISOString();
+  const messageId = crypto.randomUUID();
+  const payment_id = crypto.randomUUID(); // Assuming payment_id is needed for the init request
+
+  const payload = {
+    context: {
+      domain: DOMAIN,
+      location: {
+        country: { code: country },
+        city: { code: city },
+      },
+      timestamp,
+      bap_id: SUBSCRIBER_ID,
+      transaction_id,
+      message_id: messageId,
+      version: "2.0.0",
+      action: "init",
+      bap_uri: SUBSCRIBER_URL,
+      bpp_id,
+      bpp_uri,
+      ttl: "PT30S",
+    },
+    message,
+  };
+
+  console.log("payload = ", JSON.stringify(payload));
+
+  const schemaErrors = validatePayload("init", payload);
+  if (schemaErrors.length) {
+    console.warn(`[${new Date().toISOString()}] /init: Payload failed schema validation`, JSON.stringify(schemaErrors));
+    return res.status(400).json({
+      error: "Init request failed",
+      details: "Payload does not match the ONDC init schema",
+      errors: schemaErrors,
+    });
+  }
+
+  payload.message.order.payments[0].id = payment_id; // Set the payment ID in the message
+
+  try {
+    const { response } = await sendNetworkRequest(`${bpp_uri.replace(/\/$/, "")}/init`, payload);
+
+    console.log(
+      `[${new Date().toISOString()}] /init: Sent init request successfully`,
+      response.data
+    );
+
+    res.status(200).json({
+      message: "Init request sent successfully to BPP",
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /init: Init request failed`,
+      error.response?.data || error.message
+    );
+    res.status(500).json({
+      error: "Init request failed",
+      details: error.response?.data || error.message,
+      dead_letter_id: error.deadLetterId,
+    });
+  }
+});
+
+//on_intit
+registerCallbackHandler("on_init", {
+  description: "init response",
+  process: async ({ context, message }) => {
+    const orderData = message.order || {};
+    console.log(`[${new Date().toISOString()}] /on_init: Quote=${JSON.stringify(orderData.quote?.price)} for transaction_id=${context.transaction_id}`);
+
+    // Keep the quoted order so /confirm can send it back unchanged
+    if (context.transaction_id) {
+      await saveTransaction(Object.assign(await getTransaction(context.transaction_id), {
+        quote: orderData.quote,
+        init_order: orderData,
+      }));
+    }
+  },
+});
+
+//confirm endpoint
+app.post("/confirm", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /confirm: Received confirm request`);
+
+  const { transaction_id, message } = req.body;
+
+  if (!transaction_id) {
+    console.warn(`[${new Date().toISOString()}] /confirm: Missing transaction_id`);
+    return res.status(400).json({
+      error: "Missing transaction_id in request body",
+    });
+  }
+
+  const transaction = await findTransaction(transaction_id);
+
+  const lifecycle = lifecycleTransition(transaction, "confirm");
+  if (lifecycle.error) {
+    console.warn(`[${new Date().toISOString()}] /confirm: ${lifecycle.error} (transaction_id=${transaction_id})`);
+    return res.status(409).json({
+      error: "Confirm request failed",
+      details: lifecycle.error,
+      state: lifecycle.from || null,
+    });
+  }
+
+  if (!transaction || !transaction.payment_id) {
+    console.warn(`[${new Date().toISOString()}] /confirm: No init found for transaction_id=${transaction_id}`);
+    return res.status(400).json({
+      error: "Confirm request failed",
+      details: "Transaction has not been initialized, call /init first",
+    });
+  }
+
+  if (!transaction.quote) {
+    console.warn(`[${new Date().toISOString()}] /confirm: No on_init quote for transaction_id=${transaction_id}`);
+    return res.status(400).json({
+      error: "Confirm request failed",
+      details: "No quote received in on_init for this transaction yet",
+    });
+  }
+
+  // Start from the order returned in on_init unless the client sends its own
+  const order = { ...(message?.order || transaction.init_order) };
+  order.quote = transaction.quote;
+  order.payments = (order.payments || [{}]).map((payment, index) =>
+    index === 0 ? { ...payment, id: transaction.payment_id } : payment
+  );
+
+  try {
+    const { response } = await sendBppRequest("confirm", transaction, { ...message, order });
+
+    console.log(
+      `[${new Date().toISOString()}] /confirm: Sent confirm request successfully`,
+      response.data
+    );
+
+    res.status(200).json({
+      message: "Confirm request sent successfully to BPP",
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /confirm: Confirm request failed`,
+      error.response?.data || error.message
+    );
+    res.status(error.errors ? 400 : 500).json({
+      error: "Confirm request failed",
+      details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
+    });
+  }
+});
+
+//on_confirm
+registerCallbackHandler("on_confirm", {
+  description: "confirm response",
+  validate: ({ message }) => (message.order?.id ? null : "Missing order id in on_confirm"),
+  process: async ({ context, message }) => {
+    const orderData = message.order;
+
+    // Link the BPP's order id back to the transaction
+    if (context.transaction_id) {
+      const transaction = await getTransaction(context.transaction_id);
+      transaction.order_id = orderData.id;
+      transaction.confirmed_order = orderData;
+      await saveTransaction(transaction);
+      await recordOrderState(context.transaction_id, orderData, "on_confirm");
+      console.log(`[${new Date().toISOString()}] /on_confirm: Linked order_id=${orderData.id} to transaction_id=${context.transaction_id}`);
+    }
+  },
+});
+
+//status endpoint
+app.post("/status", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /status: Received status request`);
+
+  const { order_id } = req.body;
+
+  if (!order_id) {
+    console.warn(`[${new Date().toISOString()}] /status: Missing order_id`);
+    return res.status(400).json({ error: "Missing order_id in request body" });
+  }
+
+  const order = await findOrder(order_id);
+  if (!order) {
+    console.warn(`[${new Date().toISOString()}] /status: Unknown order_id=${order_id}`);
+    return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
+  }
+
+  try {
+    const { response } = await sendBppRequest("status", await findTransaction(order.transaction_id), { order_id });
+
+    console.log(
+      `[${new Date().toISOString()}] /status: Sent status request successfully`,
+      response.data
+    );
+
+    res.status(200).json({
+      message: "Status request sent successfully to BPP",
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /status: Status request failed`,
+      error.response?.data || error.message
+    );
+    res.status(error.errors ? 400 : 500).json({
+      error: "Status request failed",
+      details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
+    });
+  }
+});
+
+//on_status
+registerCallbackHandler("on_status", {
+  description: "status response",
+  validate: ({ message }) => (message.order?.id ? null : "Missing order id in on_status"),
+  process: async ({ context, message }) => {
+    const orderData = message.order;
+    const order = await recordOrderState(context.transaction_id, orderData, "on_status");
+    console.log(`[${new Date().toISOString()}] /on_status: Order status=${order?.status} for order_id=${orderData.id}`);
+  },
+});
+
+//track endpoint
+app.post("/track", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /track: Received track request`);
+
+  const { order_id } = req.body;
+
+  if (!order_id) {
+    console.warn(`[${new Date().toISOString()}] /track: Missing order_id`);
+    return res.status(400).json({ error: "Missing order_id in request body" });
+  }
+
+  const order = await findOrder(order_id);
+  if (!order) {
+    console.warn(`[${new Date().toISOString()}] /track: Unknown order_id=${order_id}`);
+    return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
+  }
+
+  try {
+    const { response } = await sendBppRequest("track", await findTransaction(order.transaction_id), { order_id });
+
+    console.log(
+      `[${new Date().toISOString()}] /track: Sent track request successfully`,
+      response.data
+    );
+
+    res.status(200).json({
+      message: "Track request sent successfully to BPP",
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /track: Track request failed`,
+      error.response?.data || error.message
+    );
+    res.status(error.errors ? 400 : 500).json({
+      error: "Track request failed",
+      details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
+    });
+  }
+});
 
-    if(!isValid){
-         return res.status(500).json({
-      error: "Search request failed",
-      details: "Invalid authHeader",
-    });
-    }
+//on_track
+registerCallbackHandler("on_track", {
+  description: "track response",
+  process: async ({ context, message }) => {
+    // on_track carries no order id, so resolve it through the transaction
+    const tracking = message.tracking || {};
+    const orderId = (await findTransaction(context.transaction_id))?.order_id;
+    const order = await findOrder(orderId);
+    if (order) {
+      order.tracking = tracking;
+      order.updated_at = getUTCTimestamp();
+      await saveOrder(order);
+    }
+    console.log(`[${new Date().toISOString()}] /on_track: Tracking status=${tracking.status} for order_id=${orderId}`);
+  },
+});
 
-    console.log(`[${new Date().toISOString()}] /search: AuthHeader=`, authHeader);
+//cancel endpoint
+app.post("/cancel", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /cancel: Received cancel request`);
 
-    const response = await axios.post(
-      "https://preprod.gateway.ondc.org/search",
-      JSON.stringify(payload),
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: authHeader,
-        },
-      }
-    );
+  const { order_id, cancellation_reason_id, descriptor } = req.body;
 
-    console.log(
-      `[${new Date().toISOString()}] /search: Search successful, response=`,
-      JSON.stringify(response.data)
-    );
+  if (!order_id || !cancellation_reason_id) {
+    console.warn(`[${new Date().toISOString()}] /cancel: Missing required fields`);
+    return res.status(400).json({ error: "Missing order_id or cancellation_reason_id in request body" });
+  }
 
-    res.status(200).json({
-      message: "Search request sent successfully to ONDC gateway",
-      data: response.data,
-    });
-  } catch (error) {
-    console.error(
-      `[${new Date().toISOString()}] /search: Search failed, error=${error.message}`,
-      error.response?.data
-    );
-    res.status(500).json({
-      error: "Search request failed",
-      details: error.response?.data || error.message,
-    });
-  }
-});
+  if (!BUYER_CANCELLATION_REASONS[cancellation_reason_id]) {
+    console.warn(`[${new Date().toISOString()}] /cancel: Unsupported cancellation_reason_id=${cancellation_reason_id}`);
+    return res.status(400).json({
+      error: "Cancel request failed",
+      details: `cancellation_reason_id must be one of ${Object.keys(BUYER_CANCELLATION_REASONS).join(", ")}`,
+    });
+  }
 
+  const order = await findOrder(order_id);
+  if (!order) {
+    console.warn(`[${new Date().toISOString()}] /cancel: Unknown order_id=${order_id}`);
+    return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
+  }
 
-// On_search endpoint to receive ONDC search results
-app.post(`${new URL(SUBSCRIBER_URL).pathname}/on_search`, async (req, res) => {
-  console.log(
-    `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Received search results from ONDC gateway, body=`,
-    JSON.stringify(req.body, null, 2)
-  );
+  const transaction = await findTransaction(order.transaction_id);
+
+  const lifecycle = lifecycleTransition(transaction, "cancel");
+  if (lifecycle.error) {
+    console.warn(`[${new Date().toISOString()}] /cancel: ${lifecycle.error} (order_id=${order_id}, transaction_id=${order.transaction_id})`);
+    return res.status(409).json({
+      error: "Cancel request failed",
+      details: lifecycle.error,
+      state: lifecycle.from || null,
+    });
+  }
 
   try {
-    const { context, message } = req.body;
-    if (!context || !message) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Missing context or message in request body`
-      );
-      return res
-        .status(400)
-        .json({ error: "Missing context or message in request body" });
-    }
+    const { response } = await sendBppRequest("cancel", transaction, {
+      order_id,
+      cancellation_reason_id,
+      ...(descriptor && { descriptor }),
+    });
 
-    // Extract bpp_id from context
-    const bppId = context.bpp_id;
-    if (!bppId) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Missing bpp_id in context`
-      );
-      return res.status(400).json({ error: "Missing bpp_id in context" });
-    }
     console.log(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Extracted bpp_id=${bppId}`
+      `[${new Date().toISOString()}] /cancel: Sent cancel request successfully`,
+      response.data
     );
 
-    // Call the lookup endpoint to retrieve the signing public key for the bpp_id
-    let lookupResponse;
-    try {
-      const lookUpPayload = {
-          subscriber_id: bppId,
-          country: COUNTRY, 
-          domain: DOMAIN, 
-          type: "BPP",
-        }
-      const lookUpAuthHeader = await createAuthorizationHeader({
-              body: JSON.stringify(lookUpPayload),
-              privateKey: process.env.SIGNING_PRIVATE_KEY,
-              subscriberId: SUBSCRIBER_ID,
-              subscriberUniqueKeyId: UNIQUE_KEY_ID,
-            })
-
-      const isLookUpHeaderValid = await isHeaderValid({
-      header: lookUpAuthHeader,
-      body: JSON.stringify(lookUpPayload),
-      publicKey: process.env.SIGNING_PUBLIC_KEY,
-    });
+    res.status(200).json({
+      message: "Cancel request sent successfully to BPP",
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /cancel: Cancel request failed`,
+      error.response?.data || error.message
+    );
+    res.status(error.errors ? 400 : 500).json({
+      error: "Cancel request failed",
+      details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
+    });
+  }
+});
 
-      if(!isLookUpHeaderValid){
-        console.log("header is not valid")
-        return res.status(500).json({
-          message: "header not valid"
-        });
-      }
-      
-      lookupResponse = await axios.post(
-        ONDC_LOOKUP_URL,
-        JSON.stringify(lookUpPayload),
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: lookUpAuthHeader,
-          },
-        }
-      );
+//on_cancel (response to our /cancel, or a cancellation initiated by the BPP)
+registerCallbackHandler("on_cancel", {
+  description: "cancel response",
+  validate: ({ message }) => (message.order?.id ? null : "Missing order id in on_cancel"),
+  process: async ({ context, message }) => {
+    const orderData = message.order;
+    const order = await recordOrderState(context.transaction_id, orderData, "on_cancel");
+    const cancellation = await recordCancellation(order, context, orderData);
+    console.log(`[${new Date().toISOString()}] /on_cancel: Cancellation recorded for order_id=${orderData.id}`, cancellation);
+  },
+});
 
-      console.log(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Lookup successful for bpp_id=${bppId}, response=`,
-        JSON.stringify(lookupResponse.data, null, 2)
-      );
-    } catch (error) {
-      console.error(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Lookup failed for bpp_id=${bppId}, error=${error.message}`,
-        error.response?.data
-      );
-      return res.status(500).json({
-        error: "Failed to perform lookup for BPP",
-        details: error.response?.data || error.message,
-      });
-    }
+//update endpoint
+app.post("/update", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /update: Received update request`);
 
-    // Extract the signing public key from the lookup response
-    const bppDetails = lookupResponse.data && lookupResponse.data.length > 0 ? lookupResponse.data[0] : null;
-    if (!bppDetails || !bppDetails.signing_public_key) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: No signing public key found for bpp_id=${bppId}`
-      );
-      return res.status(400).json({
-        error: "No signing public key found for the BPP",
-      });
-    }
+  const { order_id, update_target, order: orderChanges } = req.body;
 
-    const bppPublicKey = bppDetails.signing_public_key;
-    console.log(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Retrieved signing public key for bpp_id=${bppId}, publicKey=${bppPublicKey}`
-    );
+  if (!order_id || !update_target || !orderChanges) {
+    console.warn(`[${new Date().toISOString()}] /update: Missing required fields`);
+    return res.status(400).json({ error: "Missing order_id, update_target or order in request body" });
+  }
 
-    // Verify authorization header using the retrieved BPP public key
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Missing authorization header`
-      );
-      return res.status(401).json({ error: "Missing authorization header" });
-    }
+  if (typeof update_target !== "string") {
+    console.warn(`[${new Date().toISOString()}] /update: update_target is not a string`);
+    return res.status(400).json({
+      error: "Update request failed",
+      details: `update_target must be a comma-separated string of ${UPDATE_TARGETS.join(", ")}`,
+    });
+  }
 
-    const isValid = await isHeaderValid({
-      header: authHeader,
-      body: JSON.stringify(req.body),
-      publicKey: bppPublicKey, // Use the BPP's public key from lookup
+  const targets = update_target.split(",").map((target) => target.trim());
+  const invalidTargets = targets.filter((target) => !UPDATE_TARGETS.includes(target));
+  if (invalidTargets.length > 0) {
+    console.warn(`[${new Date().toISOString()}] /update: Unsupported update_target=${update_target}`);
+    return res.status(400).json({
+      error: "Update request failed",
+      details: `update_target must be one or more of ${UPDATE_TARGETS.join(", ")}, got ${invalidTargets.join(", ")}`,
     });
+  }
 
-    if (!isValid) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Invalid authorization header for bpp_id=${bppId}`
-      );
-      return res.status(401).json({ error: "Invalid authorization header" });
-    }
+  const order = await findOrder(order_id);
+  if (!order) {
+    console.warn(`[${new Date().toISOString()}] /update: Unknown order_id=${order_id}`);
+    return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
+  }
 
-    console.log(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Authorization header validated successfully for bpp_id=${bppId}`
-    );
+  const transaction = await findTransaction(order.transaction_id);
+
+  const lifecycle = lifecycleTransition(transaction, "update");
+  if (lifecycle.error) {
+    console.warn(`[${new Date().toISOString()}] /update: ${lifecycle.error} (order_id=${order_id}, transaction_id=${order.transaction_id})`);
+    return res.status(409).json({
+      error: "Update request failed",
+      details: lifecycle.error,
+      state: lifecycle.from || null,
+    });
+  }
+
+  try {
+    const { response } = await sendBppRequest("update", transaction, {
+      update_target: targets.join(","),
+      order: { ...orderChanges, id: order_id },
+    });
 
-    // Process search results (e.g., store in database, send to client)
-    const searchResults = message.catalog || {};
     console.log(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Processed search results, catalog=`,
-      JSON.stringify(searchResults, null, 2)
+      `[${new Date().toISOString()}] /update: Sent update request successfully`,
+      response.data
     );
 
     res.status(200).json({
-      message: "Search results received and validated successfully",
-      data: searchResults,
+      message: "Update request sent successfully to BPP",
+      data: response.data,
     });
   } catch (error) {
     console.error(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_search: Failed to process search results, error=${error.message}`
+      `[${new Date().toISOString()}] /update: Update request failed`,
+      error.response?.data || error.message
     );
-    res.status(500).json({
-      error: "Failed to process search results",
-      details: error.message,
+    res.status(error.errors ? 400 : 500).json({
+      error: "Update request failed",
+      details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
     });
   }
 });
 
-// Select endpoint to initiate ONDC select
-app.post("/select", async (req, res) => {
-  console.log(`[${new Date().toISOString()}] /select: Received select request`);
+//on_update
+registerCallbackHandler("on_update", {
+  description: "update response",
+  validate: ({ message }) => (message.order?.id ? null : "Missing order id in on_update"),
+  process: async ({ context, message }) => {
+    const orderData = message.order;
+    const order = await recordOrderState(context.transaction_id, orderData, "on_update");
+    const update = await recordOrderUpdate(order, context, orderData);
+    console.log(`[${new Date().toISOString()}] /on_update: Recorded ${update?.changes.length} change(s) for order_id=${orderData.id}`);
+
+    // The BPP may cancel an order (or part of it) through an unsolicited on_update
+    if (orderData.status === "CANCELLED" || orderData.cancellation) {
+      const cancellation = await recordCancellation(order, context, orderData);
+      console.log(`[${new Date().toISOString()}] /on_update: Cancellation recorded for order_id=${orderData.id}`, cancellation);
+    }
+  },
+});
 
-  const { country, city, transaction_id, bpp_id, bpp_uri, message } = req.body;
+//rating endpoint
+app.post("/rating", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /rating: Received rating request`);
 
-  // Validate required fields
-  if (!country || !city || !transaction_id || !bpp_id || !bpp_uri || !message) {
-    console.warn(
-      `[${new Date().toISOString()}] /select: Missing required fields in request body`
-    );
+  const { order_id, ratings } = req.body;
+
+  if (!order_id || !Array.isArray(ratings) || ratings.length === 0) {
+    console.warn(`[${new Date().toISOString()}] /rating: Missing required fields`);
+    return res.status(400).json({ error: "Missing order_id or ratings in request body" });
+  }
+
+  const invalidRating = ratings.find(
+    (rating) =>
+      !rating.id ||
+      !RATING_CATEGORIES.includes(rating.rating_category) ||
+      !(Number(rating.value) >= 1 && Number(rating.value) <= 5)
+  );
+  if (invalidRating) {
     return res.status(400).json({
-      error: "Select request failed",
-      details: "Missing country, city, transaction_id, bpp_id, bpp_uri, or message in request body",
+      error: "Rating request failed",
+      details: `Each rating needs an id, a rating_category (${RATING_CATEGORIES.join(", ")}) and a value from 1 to 5`,
     });
   }
 
-  const timestamp = new Date().toISOString();
-  const messageId = crypto.randomUUID();
+  const order = await findOrder(order_id);
+  if (!order) {
+    console.warn(`[${new Date().toISOString()}] /rating: Unknown order_id=${order_id}`);
+    return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
+  }
 
-  // Construct the select payload
-  const payload = {
-    context: {
-      domain: DOMAIN,
-      location: {
-        country: { code: country },
-        city: { code: city },
-      },
-      timestamp: timestamp,
-      bap_id: SUBSCRIBER_ID,
-      transaction_id: transaction_id,
-      message_id: messageId,
-      version: "2.0.0",
-      action: "select",
-      bap_uri: SUBSCRIBER_URL,
-      bpp_id: bpp_id, // Dynamic from on_search response
-      bpp_uri: bpp_uri, // Dynamic from on_search response
-      ttl: "PT30S",
-    },
-    message: message, // Contains order details (e.g., provider, items, fulfillments)
+  const message = {
+    ratings: ratings.map((rating) => ({
+      id: rating.id,
+      rating_category: rating.rating_category,
+      value: String(rating.value),
+    })),
   };
 
-  console.log(
-    `[${new Date().toISOString()}] /select: Final payload=`,
-    JSON.stringify(payload, null, 2)
-  );
-
   try {
-    // Generate authorization header
-    const authHeader = await createAuthorizationHeader({
-      body: JSON.stringify(payload),
-      privateKey: process.env.SIGNING_PRIVATE_KEY,
-      subscriberId: SUBSCRIBER_ID,
-      subscriberUniqueKeyId: UNIQUE_KEY_ID,
-    });
+    const { response } = await sendBppRequest("rating", await findTransaction(order.transaction_id), message);
 
-    // Validate the generated header
-    const isValid = await isHeaderValid({
-      header: authHeader,
-      body: JSON.stringify(payload),
-      publicKey: process.env.SIGNING_PUBLIC_KEY, // Use your own public key for self-validation
-    });
+    console.log(
+      `[${new Date().toISOString()}] /rating: Sent rating request successfully`,
+      response.data
+    );
 
-    console.log(`[${new Date().toISOString()}] /select: isValidHeader=${isValid}`);
+    res.status(200).json({
+      message: "Rating request sent successfully to BPP",
+      data: response.data,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /rating: Rating request failed`,
+      error.response?.data || error.message
+    );
+    res.status(error.errors ? 400 : 500).json({
+      error: "Rating request failed",
+      details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
+    });
+  }
+});
 
-    if (!isValid) {
-      console.warn(
-        `[${new Date().toISOString()}] /select: Invalid authorization header`
-      );
-      return res.status(401).json({
-        error: "Select request failed",
-        details: "Invalid authorization header",
-      });
+//on_rating
+registerCallbackHandler("on_rating", {
+  description: "rating response",
+  process: async ({ context, message }) => {
+    // on_rating carries no order id, so resolve it through the transaction
+    const feedbackForm = message.feedback_form || null;
+    const orderId = (await findTransaction(context.transaction_id))?.order_id;
+    const order = await findOrder(orderId);
+    if (order && feedbackForm) {
+      order.feedback_forms = [...(order.feedback_forms || []), { ...feedbackForm, received_at: getUTCTimestamp() }];
+      await saveOrder(order);
     }
+    console.log(`[${new Date().toISOString()}] /on_rating: Feedback form ${feedbackForm ? "stored" : "not provided"} for order_id=${orderId}`);
+  },
+});
 
-    console.log(`[${new Date().toISOString()}] /select: AuthHeader=`, authHeader);
-
-    // Send select request to BPP
-    const response = await axios.post(
-      "https://pilotasi.paygov.org.in/select", // Dynamic BPP URI
-      payload, // Send payload directly (no need to stringify again)
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: authHeader,
-        },
-      }
-    );
+//support endpoint
+app.post("/support", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /support: Received support request`);
+
+  const { order_id } = req.body;
+
+  if (!order_id) {
+    console.warn(`[${new Date().toISOString()}] /support: Missing order_id`);
+    return res.status(400).json({ error: "Missing order_id in request body" });
+  }
+
+  const order = await findOrder(order_id);
+  if (!order) {
+    console.warn(`[${new Date().toISOString()}] /support: Unknown order_id=${order_id}`);
+    return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
+  }
+
+  try {
+    const { response } = await sendBppRequest("support", await findTransaction(order.transaction_id), {
+      support: { order_id },
+    });
 
     console.log(
-      `[${new Date().toISOString()}] /select: Select request successful, response=`,
-      JSON.stringify(response.data, null, 2)
+      `[${new Date().toISOString()}] /support: Sent support request successfully`,
+      response.data
     );
 
     res.status(200).json({
-      message: "Select request sent successfully to ONDC BPP",
+      message: "Support request sent successfully to BPP",
       data: response.data,
     });
   } catch (error) {
     console.error(
-      `[${new Date().toISOString()}] /select: Select request failed, error=${error.message}`,
-      error.response?.data
+      `[${new Date().toISOString()}] /support: Support request failed`,
+      error.response?.data || error.message
     );
-    res.status(500).json({
-      error: "Select request failed",
+    res.status(error.errors ? 400 : 500).json({
+      error: "Support request failed",
       details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
     });
   }
 });
 
+//on_support
+registerCallbackHandler("on_support", {
+  description: "support response",
+  process: async ({ context, message }) => {
+    const support = message.support || {};
+    const orderId = support.order_id || (await findTransaction(context.transaction_id))?.order_id;
+    const order = await findOrder(orderId);
+    if (order) {
+      order.support = {
+        phone: support.phone,
+        email: support.email,
+        url: support.url,
+        updated_at: getUTCTimestamp(),
+      };
+      await saveOrder(order);
+    }
+    console.log(`[${new Date().toISOString()}] /on_support: Support details stored for order_id=${orderId}`);
+  },
+});
+
+//issue endpoint (IGM): opens, escalates or closes an issue on a confirmed order
+app.post("/issue", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /issue: Received issue request`);
 
-// On_select endpoint to receive ONDC select results
-app.post(`${new URL(SUBSCRIBER_URL).pathname}/on_select`, async (req, res) => {
-  console.log(
-    `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Received select results from ONDC gateway, body=`,
-    JSON.stringify(req.body, null, 2)
-  );
+  const { issue_id, complainant_action = "OPEN" } = req.body;
 
-  try {
-    const { context, message } = req.body;
-    if (!context || !message) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Missing context or message in request body`
-      );
+  if (!COMPLAINANT_ACTIONS.includes(complainant_action)) {
+    return res.status(400).json({
+      error: "Issue request failed",
+      details: `complainant_action must be one of ${COMPLAINANT_ACTIONS.join(", ")}`,
+    });
+  }
+
+  let issue;
+  if (complainant_action === "OPEN") {
+    const { order_id, category, sub_category, description, complainant_info } = req.body;
+    if (!order_id || !category || !sub_category || !description?.short_desc) {
+      console.warn(`[${new Date().toISOString()}] /issue: Missing required fields`);
       return res.status(400).json({
-        error: "Missing context or message in request body",
+        error: "Missing order_id, category, sub_category or description.short_desc in request body",
       });
     }
 
-    // Verify authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Missing authorization header`
-      );
-      return res.status(401).json({
-        error: "Missing authorization header",
+    if (!IGM_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: "Issue request failed",
+        details: `category must be one of ${IGM_CATEGORIES.join(", ")}`,
       });
     }
 
-
-    // Extract bpp_id from context
-    const bppId = context.bpp_id;
-    if (!bppId) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Missing bpp_id in context`
-      );
-      return res.status(400).json({ error: "Missing bpp_id in context" });
+    const order = await findOrder(order_id);
+    if (!order) {
+      console.warn(`[${new Date().toISOString()}] /issue: Unknown order_id=${order_id}`);
+      return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
     }
-    console.log(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Extracted bpp_id=${bppId}`
-    );
 
-    // Call the lookup endpoint to retrieve the signing public key for the bpp_id
-    let lookupResponse;
-    try {
-      const lookUpPayload = {
-          subscriber_id: bppId,
-          country: COUNTRY, 
-          domain: DOMAIN, 
-          type: "BPP",
-        }
-      const lookUpAuthHeader = await createAuthorizationHeader({
-              body: JSON.stringify(lookUpPayload),
-              privateKey: process.env.SIGNING_PRIVATE_KEY,
-              subscriberId: SUBSCRIBER_ID,
-              subscriberUniqueKeyId: UNIQUE_KEY_ID,
-            })
-
-      const isLookUpHeaderValid = await isHeaderValid({
-      header: lookUpAuthHeader,
-      body: JSON.stringify(lookUpPayload),
-      publicKey: process.env.SIGNING_PUBLIC_KEY,
-    });
-
-      if(!isLookUpHeaderValid){
-        console.log("header is not valid")
-        return res.status(500).json({
-          message: "header not valid"
-        });
-      }
-      
-      lookupResponse = await axios.post(
-        ONDC_LOOKUP_URL,
-        JSON.stringify(lookUpPayload),
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: lookUpAuthHeader,
-          },
-        }
-      );
+    const now = getUTCTimestamp();
+    issue = {
+      id: crypto.randomUUID(),
+      category,
+      sub_category,
+      complainant_info: complainant_info || {
+        person: { name: NAME_OF_AUTHORISED_SIGNATORY },
+        contact: { phone: MOBILE_NO, email: EMAIL_ID },
+      },
+      order_details: {
+        id: order_id,
+        state: order.status,
+        items: (order.order?.items || []).map((item) => ({ id: item.id, quantity: item.quantity?.selected?.count })),
+        fulfillments: (order.order?.fulfillments || []).map((fulfillment) => ({
+          id: fulfillment.id,
+          state: fulfillment.state?.descriptor?.code,
+        })),
+        provider_id: order.order?.provider?.id,
+      },
+      description,
+      source: { network_participant_id: SUBSCRIBER_ID, type: "CONSUMER" },
+      expected_response_time: { duration: "PT2H" },
+      expected_resolution_time: { duration: "P1D" },
+      status: "OPEN",
+      issue_type: "ISSUE",
+      issue_actions: {
+        complainant_actions: [buildComplainantAction("OPEN", description.short_desc, now)],
+      },
+      created_at: now,
+      updated_at: now,
+    };
+  } else {
+    const stored = await findIssue(issue_id);
+    if (!stored) {
+      console.warn(`[${new Date().toISOString()}] /issue: Unknown issue_id=${issue_id}`);
+      return res.status(404).json({ error: "Issue not found" });
+    }
 
-      console.log(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Lookup successful for bpp_id=${bppId}, response=`,
-        JSON.stringify(lookupResponse.data, null, 2)
-      );
-    } catch (error) {
-      console.error(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Lookup failed for bpp_id=${bppId}, error=${error.message}`,
-        error.response?.data
-      );
-      return res.status(500).json({
-        error: "Failed to perform lookup for BPP",
-        details: error.response?.data || error.message,
+    if (stored.state === "CLOSED") {
+      return res.status(400).json({
+        error: "Issue request failed",
+        details: "Issue is already closed",
       });
     }
 
-    // Extract the signing public key from the lookup response
-    const bppDetails = lookupResponse.data && lookupResponse.data.length > 0 ? lookupResponse.data[0] : null;
-    if (!bppDetails || !bppDetails.signing_public_key) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: No signing public key found for bpp_id=${bppId}`
-      );
+    if (complainant_action === "CLOSE" && !["THUMBS-UP", "THUMBS-DOWN"].includes(req.body.rating)) {
       return res.status(400).json({
-        error: "No signing public key found for the BPP",
+        error: "Issue request failed",
+        details: "rating must be THUMBS-UP or THUMBS-DOWN when closing an issue",
       });
     }
 
-    const bppPublicKey = bppDetails.signing_public_key;
+    const now = getUTCTimestamp();
+    const shortDesc = req.body.short_desc || (complainant_action === "ESCALATE" ? "Escalating to GRO" : "Complaint closed");
+    issue = {
+      ...stored.issue,
+      // Escalation turns the issue into a grievance handled by the GRO
+      issue_type: complainant_action === "ESCALATE" ? "GRIEVANCE" : stored.issue.issue_type,
+      status: complainant_action === "CLOSE" ? "CLOSED" : stored.issue.status,
+      ...(complainant_action === "CLOSE" && { rating: req.body.rating }),
+      issue_actions: {
+        ...stored.issue.issue_actions,
+        complainant_actions: [
+          ...stored.issue.issue_actions.complainant_actions,
+          buildComplainantAction(complainant_action, shortDesc, now),
+        ],
+      },
+      updated_at: now,
+    };
+  }
+
+  const orderId = issue.order_details.id;
+  const order = await findOrder(orderId);
+  if (!order) {
+    console.warn(`[${new Date().toISOString()}] /issue: Unknown order_id=${orderId}`);
+    return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
+  }
+  const transaction = await findTransaction(order.transaction_id);
+
+  try {
+    const { response, stored } = await sendBppRequest("issue", transaction, { issue }, buildIgmContext);
+
     console.log(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Retrieved signing public key for bpp_id=${bppId}, publicKey=${bppPublicKey}`
+      `[${new Date().toISOString()}] /issue: Sent issue ${complainant_action} successfully, issue_id=${issue.id}`,
+      response.data
     );
 
-
-    const isValid = await isHeaderValid({
-      header: authHeader,
-      body: JSON.stringify(req.body),
-      publicKey: bppPublicKey,
+    res.status(200).json({
+      message: "Issue request sent successfully to BPP",
+      data: response.data,
+      issue: stored,
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] /issue: Issue request failed`,
+      error.response?.data || error.message
+    );
+    res.status(error.errors ? 400 : 500).json({
+      error: "Issue request failed",
+      details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
     });
+  }
+});
 
-    if (!isValid) {
-      console.warn(
-        `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Invalid authorization header`
-      );
-      return res.status(401).json({
-        error: "Invalid authorization header",
-      });
-    }
+//on_issue (IGM)
+registerCallbackHandler("on_issue", {
+  description: "issue response",
+  validate: async ({ message }) => ((await findIssue(message.issue?.id)) ? null : "Issue not found"),
+  process: async ({ message }) => {
+    const stored = await recordIssueResponse(message.issue, "on_issue");
+    console.log(`[${new Date().toISOString()}] /on_issue: Issue state=${stored?.state} for issue_id=${message.issue.id}`);
+  },
+});
+
+//issue_status endpoint (IGM)
+app.post("/issue_status", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /issue_status: Received issue status request`);
+
+  const { issue_id } = req.body;
+
+  if (!issue_id) {
+    return res.status(400).json({ error: "Missing issue_id in request body" });
+  }
+
+  const stored = await findIssue(issue_id);
+  if (!stored) {
+    console.warn(`[${new Date().toISOString()}] /issue_status: Unknown issue_id=${issue_id}`);
+    return res.status(404).json({ error: "Issue not found" });
+  }
+
+  const order = await findOrder(stored.order_id);
+  if (!order) {
+    console.warn(`[${new Date().toISOString()}] /issue_status: Unknown order_id=${stored.order_id} of issue_id=${issue_id}`);
+    return res.status(404).json({ error: "Order not found, no on_confirm received for this order_id" });
+  }
+
+  try {
+    const transaction = await findTransaction(order.transaction_id);
+    const { response } = await sendBppRequest("issue_status", transaction, { issue_id }, buildIgmContext);
 
-    // Process select results (e.g., store in database, send to client)
-    const selectResults = message.order || {};
     console.log(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Processed select results, order=`,
-      JSON.stringify(selectResults)
+      `[${new Date().toISOString()}] /issue_status: Sent issue status request successfully`,
+      response.data
     );
 
     res.status(200).json({
-      message: "Select results received successfully",
-      data: selectResults,
+      message: "Issue status request sent successfully to BPP",
+      data: response.data,
     });
   } catch (error) {
     console.error(
-      `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_select: Failed to process select results, error=${error.message}`
+      `[${new Date().toISOString()}] /issue_status: Issue status request failed`,
+      error.response?.data || error.message
     );
-    res.status(500).json({
-      error: "Failed to process select results",
-      details: error.message,
+    res.status(error.errors ? 400 : 500).json({
+      error: "Issue status request failed",
+      details: error.response?.data || error.message,
+      errors: error.errors,
+      dead_letter_id: error.deadLetterId,
     });
   }
 });
 
-//init endpoint
-app.post("/init", async (req, res) => {
-  console.log(`[${new Date().toISOString()}] /init: Received init request`);
+//on_issue_status (IGM)
+registerCallbackHandler("on_issue_status", {
+  description: "issue status response",
+  validate: async ({ message }) => ((await findIssue(message.issue?.id)) ? null : "Issue not found"),
+  process: async ({ message }) => {
+    const stored = await recordIssueResponse(message.issue, "on_issue_status");
+    console.log(`[${new Date().toISOString()}] /on_issue_status: Issue state=${stored?.state} for issue_id=${message.issue.id}`);
+  },
+});
 
-  const { country, city, transaction_id, bpp_id, bpp_uri, message } = req.body;
+// API keys for client routes (admin only): the key itself is returned once, when it is created, and only its hash is kept
+app.post("/api-keys", async (req, res) => {
+  const { name, role, rate_limit_per_minute } = req.body;
+  if (!name || !CLIENT_ROLES.includes(role)) {
+    return res.status(400).json({ error: "API key creation failed", details: `name and a role (${CLIENT_ROLES.join(" or ")}) are required` });
+  }
+  if (rate_limit_per_minute !== undefined && !(Number.isInteger(rate_limit_per_minute) && rate_limit_per_minute > 0)) {
+    return res.status(400).json({ error: "API key creation failed", details: "rate_limit_per_minute must be a positive integer" });
+  }
 
-  if (!country || !city || !transaction_id || !bpp_id || !bpp_uri || !message) {
-    console.warn(
-      `[${new Date().toISOString()}] /init: Missing required fields`
+  try {
+    const apiKey = `bap_${crypto.randomBytes(32).toString("base64url")}`;
+    const { rows: [created] } = await dbQuery(
+      `INSERT INTO api_keys (name, role, key_prefix, key_hash, rate_limit_per_minute)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id, name, role, key_prefix, rate_limit_per_minute, created_at`,
+      [name, role, apiKey.slice(0, 12), hashApiKey(apiKey), rate_limit_per_minute ?? null]
     );
-    return res.status(400).json({
-      error: "Missing required fields in request body",
-    });
+    console.log(`[${new Date().toISOString()}] /api-keys: ${req.principal.subject} created ${role} API key id=${created.id} (${name})`);
+    res.status(201).json({ ...created, api_key: apiKey });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /api-keys: Failed to create API key, error=${error.message}`);
+    res.status(500).json({ error: "API key creation failed", details: error.message });
   }
+});
 
-  const timestamp = new Date().toISOString();
-  const messageId = crypto.randomUUID();
-  const payment_id = crypto.randomUUID(); // Assuming payment_id is needed for the init request
+app.get("/api-keys", async (req, res) => {
+  try {
+    const { rows } = await dbQuery(
+      "SELECT id, name, role, key_prefix, rate_limit_per_minute, created_at, revoked_at FROM api_keys ORDER BY id"
+    );
+    res.status(200).json({ api_keys: rows });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /api-keys: Failed to list API keys, error=${error.message}`);
+    res.status(500).json({ error: "Failed to load API keys", details: error.message });
+  }
+});
 
-  message.order.payments[0].id = payment_id; // Set the payment ID in the message
-  
-  const payload = {
-    context: {
-      domain: DOMAIN,
-      location: {
-        country: { code: country },
-        city: { code: city },
-      },
-      timestamp,
-      bap_id: SUBSCRIBER_ID,
-      transaction_id,
-      message_id: messageId,
-      version: "2.0.0",
-      action: "init",
-      bap_uri: SUBSCRIBER_URL,
-      bpp_id,
-      bpp_uri,
-      ttl: "PT30S",
-    },
-    message,
-  };
+// Revoke an API key; requests with it are rejected right away
+app.delete("/api-keys/:id", async (req, res) => {
+  try {
+    const { rows: [revoked] } = await dbQuery(
+      "UPDATE api_keys SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL RETURNING id, name, role, key_prefix, revoked_at",
+      [req.params.id]
+    );
+    if (!revoked) {
+      return res.status(404).json({ error: "No active API key found with this id" });
+    }
+    console.log(`[${new Date().toISOString()}] /api-keys: ${req.principal.subject} revoked API key id=${revoked.id} (${revoked.name})`);
+    res.status(200).json(revoked);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /api-keys: Failed to revoke API key id=${req.params.id}, error=${error.message}`);
+    res.status(500).json({ error: "Failed to revoke API key", details: error.message });
+  }
+});
+
+// Process the queued callback jobs, for a cron on runtimes where the callback workers can't run
+// Authenticated with Authorization: Bearer CRON_SECRET (what Vercel Cron sends), not the client credentials
+app.get("/cron/callback-jobs", async (req, res) => {
+  const expected = Buffer.from(`Bearer ${CRON_SECRET}`);
+  const received = Buffer.from(req.get("Authorization") || "");
+  if (!CRON_SECRET || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ error: "Unauthorized", details: "Send Authorization: Bearer CRON_SECRET" });
+  }
 
-  console.log("payload = ", JSON.stringify(payload));
   try {
-    const authHeader = await createAuthorizationHeader({
-      body: JSON.stringify(payload),
-      privateKey: process.env.SIGNING_PRIVATE_KEY,
-      subscriberId: SUBSCRIBER_ID,
-      subscriberUniqueKeyId: UNIQUE_KEY_ID,
-    });
+    const processed = await drainCallbackJobs(CALLBACK_JOB_CRON_MS);
+    console.log(`[${new Date().toISOString()}] /cron/callback-jobs: Processed ${processed} callback job(s)`);
+    res.status(200).json({ processed });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /cron/callback-jobs: Failed to process callback jobs, error=${error.message}`);
+    res.status(500).json({ error: "Failed to process callback jobs", details: error.message });
+  }
+});
 
-    const isValid = await isHeaderValid({
-      header: authHeader,
-      body: JSON.stringify(payload),
-      publicKey: process.env.SIGNING_PUBLIC_KEY,
-    });
+// Callback jobs, newest first: ?status=queued|running|done|failed narrows the list
+app.get("/callback-jobs", async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { rows } = await dbQuery(
+      `SELECT id, action, hook, transaction_id, message_id, status, attempts, last_error, run_at, created_at, finished_at
+       FROM callback_jobs WHERE $1::text IS NULL OR status = $1 ORDER BY id DESC LIMIT 100`,
+      [status || null]
+    );
+    res.status(200).json({ callback_jobs: rows });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /callback-jobs: Failed to list callback jobs, error=${error.message}`);
+    res.status(500).json({ error: "Failed to load callback jobs", details: error.message });
+  }
+});
 
-    if (!isValid) {
-      console.warn(`[${new Date().toISOString()}] /init: Invalid auth header`);
-      return res.status(401).json({ error: "Invalid authorization header" });
+// Queue a failed callback job again, with a fresh set of attempts
+app.post("/callback-jobs/:id/retry", async (req, res) => {
+  try {
+    const { rows: [job] } = await dbQuery(
+      `UPDATE callback_jobs SET status = 'queued', attempts = 0, run_at = now(), finished_at = NULL
+       WHERE id = $1 AND status = 'failed' RETURNING id, action, hook, status`,
+      [req.params.id]
+    );
+    if (!job) {
+      return res.status(404).json({ error: "No failed callback job found with this id" });
     }
+    await dbQuery("SELECT pg_notify('callback_jobs', $1)", [String(job.id)]);
+    console.log(`[${new Date().toISOString()}] /callback-jobs: Queued ${job.hook ? `${job.action} hook ${job.hook}` : job.action} job id=${job.id} again`);
+    res.status(200).json(job);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /callback-jobs: Failed to retry callback job id=${req.params.id}, error=${error.message}`);
+    res.status(500).json({ error: "Failed to retry callback job", details: error.message });
+  }
+});
 
-    console.log("valid header = ", isValid);
-    const response = await axios.post(
-      `https://pilotasi.paygov.org.in/init`,
-      JSON.stringify(payload),
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: authHeader,
-        },
-      }
+// Dead letters: outbound messages that could not be delivered within their ttl, newest first
+// ?status=pending|delivered narrows the list
+app.get("/dead-letters", async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { rows } = await dbQuery(
+      `SELECT id, action, url, transaction_id, message_id, status, attempts, last_status, last_error, created_at, updated_at, delivered_at
+       FROM dead_letters WHERE $1::text IS NULL OR status = $1 ORDER BY id DESC LIMIT 100`,
+      [status || null]
     );
+    res.status(200).json({ dead_letters: rows });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /dead-letters: Failed to list dead letters, error=${error.message}`);
+    res.status(500).json({ error: "Failed to load dead letters", details: error.message });
+  }
+});
 
-    console.log(
-      `[${new Date().toISOString()}] /init: Sent init request successfully`,
-      response.data
-    );
+app.get("/dead-letters/:id", async (req, res) => {
+  try {
+    const { rows: [deadLetter] } = await dbQuery("SELECT * FROM dead_letters WHERE id = $1", [req.params.id]);
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    res.status(200).json(deadLetter);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /dead-letters: Failed to load dead letter id=${req.params.id}, error=${error.message}`);
+    res.status(500).json({ error: "Failed to load dead letter", details: error.message });
+  }
+});
+
+// Replay a dead letter: the same message (same message_id) with a fresh context timestamp, so its ttl starts again
+app.post("/dead-letters/:id/replay", async (req, res) => {
+  console.log(`[${new Date().toISOString()}] /dead-letters: Replaying dead letter id=${req.params.id}`);
+
+  try {
+    const { rows: [deadLetter] } = await dbQuery("SELECT * FROM dead_letters WHERE id = $1", [req.params.id]);
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    if (deadLetter.status === "delivered") {
+      return res.status(409).json({ error: "Dead letter replay failed", details: `Dead letter was already delivered at ${deadLetter.delivered_at.toISOString()}` });
+    }
+
+    // The transaction may have moved on since the request failed, e.g. a later init or a cancellation
+    const lifecycle = lifecycleTransition(await findTransaction(deadLetter.transaction_id), deadLetter.action);
+    if (lifecycle.error) {
+      console.warn(`[${new Date().toISOString()}] /dead-letters: ${lifecycle.error} (dead letter id=${deadLetter.id})`);
+      return res.status(409).json({
+        error: "Dead letter replay failed",
+        details: lifecycle.error,
+        state: lifecycle.from || null,
+      });
+    }
+
+    const payload = { ...deadLetter.payload, context: { ...deadLetter.payload.context, timestamp: getUTCTimestamp() } };
+    const { response } = await sendNetworkRequest(deadLetter.url, payload, { deadLetterId: deadLetter.id });
 
     res.status(200).json({
-      message: "Init request sent successfully to BPP",
+      message: `Dead letter ${deadLetter.id} delivered`,
       data: response.data,
     });
   } catch (error) {
-    console.error(
-      `[${new Date().toISOString()}] /init: Init request failed`,
-      error.response?.data || error.message
-    );
+    console.error(`[${new Date().toISOString()}] /dead-letters: Replay of dead letter id=${req.params.id} failed, error=${error.message}`, error.response?.data);
     res.status(500).json({
-      error: "Init request failed",
+      error: "Dead letter replay failed",
       details: error.response?.data || error.message,
+      dead_letter_id: error.deadLetterId,
     });
   }
 });
 
-//on_intit
-app.post(`${new URL(SUBSCRIBER_URL).pathname}/on_init`, async (req, res) => {
-  console.log(
-    `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_init: Received init response`,
-    JSON.stringify(req.body, null, 2)
-  );
-
+// Lifecycle state of a transaction, its transitions so far and the requests a client can send next
+app.get("/transactions/:transaction_id/state", async (req, res) => {
   try {
-    const { context, message } = req.body;
-    if (!context || !message) {
-      return res.status(400).json({ error: "Missing context or message in request body" });
-    }
-
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: "Missing authorization header" });
+    const transaction = await findTransaction(req.params.transaction_id);
+    if (!transaction) {
+      return res.status(404).json({ error: "Transaction not found" });
     }
+    const state = lifecycleState(transaction);
+    res.status(200).json({
+      transaction_id: transaction.transaction_id,
+      state,
+      order_id: transaction.order_id,
+      history: transaction.lifecycle_history || [],
+      allowed_requests: Object.keys(LIFECYCLE_EVENTS).filter((event) => !event.startsWith("on_") && !lifecycleTransition(transaction, event).error),
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /transactions: Failed to load state of transaction_id=${req.params.transaction_id}, error=${error.message}`);
+    res.status(500).json({ error: "Failed to load transaction state", details: error.message });
+  }
+});
 
-    const bppId = context.bpp_id;
-    if (!bppId) {
-      return res.status(400).json({ error: "Missing bpp_id in context" });
+// Full timeline of a transaction: stored state, its orders and every message sent or received
+app.get("/transactions/:transaction_id", async (req, res) => {
+  try {
+    const transaction = await findTransaction(req.params.transaction_id);
+    if (!transaction) {
+      return res.status(404).json({ error: "Transaction not found" });
     }
 
-    const lookUpPayload = {
-      subscriber_id: bppId,
-      country: COUNTRY,
-      domain: DOMAIN,
-      type: "BPP",
-    };
+    const ordersResult = await dbQuery(
+      "SELECT state FROM orders WHERE transaction_id = $1 ORDER BY created_at",
+      [req.params.transaction_id]
+    );
+    const messagesResult = await dbQuery(
+      `SELECT id, direction, action, message_id, counterparty_id, http_status, payload, response, gateway_auth, created_at
+       FROM messages WHERE transaction_id = $1 ORDER BY created_at, id`,
+      [req.params.transaction_id]
+    );
 
-    const lookUpAuthHeader = await createAuthorizationHeader({
-      body: JSON.stringify(lookUpPayload),
-      privateKey: process.env.SIGNING_PRIVATE_KEY,
-      subscriberId: SUBSCRIBER_ID,
-      subscriberUniqueKeyId: UNIQUE_KEY_ID,
+    res.status(200).json({
+      transaction,
+      orders: ordersResult.rows.map((row) => row.state),
+      timeline: messagesResult.rows,
     });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] /transactions: Failed to load transaction_id=${req.params.transaction_id}, error=${error.message}`);
+    res.status(500).json({ error: "Failed to load transaction", details: error.message });
+  }
+});
 
-    const isLookUpHeaderValid = await isHeaderValid({
-      header: lookUpAuthHeader,
-      body: JSON.stringify(lookUpPayload),
-      publicKey: process.env.SIGNING_PUBLIC_KEY,
-    });
+// Latest known state of an issue for the frontend
+app.get("/issues/:issue_id", async (req, res) => {
+  const stored = await findIssue(req.params.issue_id);
+  if (!stored) {
+    return res.status(404).json({ error: "Issue not found" });
+  }
+  res.status(200).json(stored);
+});
 
-    if (!isLookUpHeaderValid) {
-      return res.status(500).json({ error: "Header validation failed during lookup" });
+// Latest known state of an order for the frontend
+app.get("/orders/:order_id", async (req, res) => {
+  const order = await findOrder(req.params.order_id);
+  if (!order) {
+    return res.status(404).json({ error: "Order not found" });
+  }
+  res.status(200).json(order);
+});
+
+
+// Load the business hooks from hooks/ (see callbacks.js)
+const hookFiles = loadCallbackHooks(path.join(__dirname, 'hooks'));
+console.log(`[${new Date().toISOString()}] Loaded ${hookFiles.length} callback hook file(s)${hookFiles.length ? `: ${hookFiles.join(", ")}` : ""}`);
+
+// Start server
+app.listen(port, () => {
+  console.log(`[${new Date().toISOString()}] Server started on port ${port}`);
+});
+
+// Start the callback workers once the database is ready, however long that takes (dbReady keeps retrying)
+if (CALLBACK_WORKER_CONCURRENCY > 0) {
+  waitForDatabase().then(() => {
+    for (let worker = 0; worker < CALLBACK_WORKER_CONCURRENCY; worker++) {
+      runCallbackWorker();
     }
+    console.log(`[${new Date().toISOString()}] Started ${CALLBACK_WORKER_CONCURRENCY} callback worker(s)`);
+  });
+} else if (!CRON_SECRET) {
+  console.warn(`[${new Date().toISOString()}] No callback workers and no CRON_SECRET: queued callback jobs are only processed by other instances`);
+}
 
-    const lookupResponse = await axios.post(ONDC_LOOKUP_URL, lookUpPayload, {
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: lookUpAuthHeader,
-      },
-    });
+// Helper function to run the onboarding checks against our public origin (baseUrl) and the registry
+// Every check runs even when an earlier one fails; returns [{ name, status: 'pass' | 'fail', details }]
+async function runOnboardingChecks(baseUrl) {
+  const challenge = `doctor-${crypto.randomUUID()}`;
+  const checks = [
+    ['site_verification', async () => {
+      const response = await axios.get(`${baseUrl}/ondc-site-verification.html`, { timeout: 5000, responseType: 'text' });
+      const signature = /name="ondc-site-verification"\s+content="([^"]*)"/.exec(response.data)?.[1];
+      if (!signature) {
+        throw new Error('no ondc-site-verification meta tag in the page');
+      }
+      const verified = crypto.verify(
+        null,
+        Buffer.from(REQUEST_ID),
+        ed25519PublicKey(SIGNING_PUBLIC_KEY),
+        Buffer.from(signature, 'base64')
+      );
+      if (!verified) {
+        throw new Error(`signature does not verify over REQUEST_ID ${REQUEST_ID} with SIGNING_PUBLIC_KEY ${SIGNING_PUBLIC_KEY}`);
+      }
+      return `signature over REQUEST_ID ${REQUEST_ID} verifies with SIGNING_PUBLIC_KEY`;
+    }],
+    ['challenge_decryption', async () => {
+      const { answer, unique_key_id } = keyProvider.decryptChallenge(keyProvider.encryptChallenge(challenge));
+      if (answer !== challenge || unique_key_id !== UNIQUE_KEY_ID) {
+        throw new Error('a challenge encrypted for ONDC_PUBLIC_KEY does not decrypt back to itself');
+      }
+      return 'a challenge encrypted with the shared key of ONDC_PUBLIC_KEY and ENCRYPTION_PRIVATE_KEY decrypts back';
+    }],
+    ['on_subscribe_callback', async () => {
+      const url = `${baseUrl}${CALLBACK_URL}/on_subscribe`;
+      const response = await axios.post(url, { subscriber_id: SUBSCRIBER_ID, challenge: keyProvider.encryptChallenge(challenge) }, {
+        timeout: 5000,
+        validateStatus: () => true,
+      });
+      if (response.status === 404) {
+        throw new Error(`${CALLBACK_URL}/on_subscribe is not mounted (404 from ${url})`);
+      }
+      if (response.data?.answer !== challenge) {
+        throw new Error(`${url} answered ${response.status} ${JSON.stringify(response.data)} instead of the decrypted challenge`);
+      }
+      return `${url} answers a registry challenge`;
+    }],
+    ['gst_pan', async () => {
+      const problems = checkGstPan();
+      if (problems.length) {
+        throw new Error(problems.join('; '));
+      }
+      return `GST ${GST_NO} and PAN ${PAN_NO} are well-formed and match`;
+    }],
+    ['registry_lookup', async () => {
+      const results = [];
+      for (const lookUpPayload of ownLookupPayloads()) {
+        const entries = await registryLookup(lookUpPayload);
+        const entry = entries.find((candidate) => (candidate.ukId || candidate.unique_key_id) === UNIQUE_KEY_ID);
+        const where = `${lookUpPayload.domain} ${lookUpPayload.type}`;
+        if (!entry) {
+          throw new Error(`lookup for ${where} returned no entry for unique_key_id ${UNIQUE_KEY_ID} (got ${entries.map((candidate) => candidate.ukId || candidate.unique_key_id).join(', ') || 'none'}), POST /subscribe to register it`);
+        }
+        if (entry.signing_public_key !== SIGNING_PUBLIC_KEY) {
+          throw new Error(`lookup for ${where} returned signing_public_key ${entry.signing_public_key}, ours is ${SIGNING_PUBLIC_KEY}`);
+        }
+        if (entry.encr_public_key !== ENCRYPTION_PUBLIC_KEY) {
+          throw new Error(`lookup for ${where} returned encr_public_key ${entry.encr_public_key}, ours is ${ENCRYPTION_PUBLIC_KEY}`);
+        }
+        results.push(where);
+      }
+      return `registry keys for unique_key_id ${UNIQUE_KEY_ID} match ours (${results.join(', ')})`;
+    }],
+  ];
 
-    const bppDetails = lookupResponse.data && lookupResponse.data.length > 0 ? lookupResponse.data[0] : null;
-    if (!bppDetails || !bppDetails.signing_public_key) {
-      return res.status(400).json({ error: "No signing public key found for the BPP" });
+  const results = [];
+  for (const [name, run] of checks) {
+    try {
+      results.push({ name, status: 'pass', details: await run() });
+    } catch (error) {
+      results.push({ name, status: 'fail', details: error.response ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message });
     }
+  }
+  return results;
+}
 
-    const bppPublicKey = bppDetails.signing_public_key;
+// Helper function to check the GST and PAN details the registry verifies; returns one line per problem
+// A GSTIN is a 2 digit state code, the 10 character PAN, an entity number, Z and a mod 36 check character
+function checkGstPan() {
+  const problems = [];
+  if (!/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(PAN_NO)) {
+    problems.push(`PAN_NO ${PAN_NO} is not 5 letters, 4 digits and a letter`);
+  }
+  const [day, month, year] = PAN_DATE_OF_INCORPORATION.split('/').map(Number);
+  const incorporated = new Date(Date.UTC(year, month - 1, day));
+  if (incorporated.getUTCDate() !== day || incorporated.getUTCMonth() !== month - 1 || incorporated > new Date()) {
+    problems.push(`PAN_DATE_OF_INCORPORATION ${PAN_DATE_OF_INCORPORATION} is not a past DD/MM/YYYY date`);
+  }
+  if (!/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(GST_NO)) {
+    problems.push(`GST_NO ${GST_NO} is not a 15 character GSTIN`);
+    return problems;
+  }
+  const stateCode = Number(GST_NO.slice(0, 2));
+  if (stateCode < 1 || stateCode > 38) {
+    problems.push(`GST_NO ${GST_NO} has an unknown state code ${GST_NO.slice(0, 2)}`);
+  }
+  if (GST_NO.slice(2, 12) !== PAN_NO) {
+    problems.push(`GST_NO ${GST_NO} is not issued to PAN_NO ${PAN_NO}`);
+  }
+  const charset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const sum = [...GST_NO.slice(0, 14)].reduce((total, char, index) => {
+    const product = charset.indexOf(char) * (index % 2 ? 2 : 1);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  const checkChar = charset[(36 - (sum % 36)) % 36];
+  if (GST_NO[14] !== checkChar) {
+    problems.push(`GST_NO ${GST_NO} fails its check character, expected ${checkChar} at the end`);
+  }
+  return problems;
+}
 
-    const isValid = await isHeaderValid({
-      header: authHeader,
-      body: JSON.stringify(req.body),
-      publicKey: bppPublicKey,
-    });
+// Verify a BPP callback: look up the BPP's signing public key in the registry, check the Authorization header,
+// that it wasn't used before, and the gateway's X-Gateway-Authorization header
+// Returns null when the request is valid, otherwise { status, error, ondcError } to send back
+async function verifyBppCallback(req) {
+  const { context, message } = req.body;
+  if (!context || !message) {
+    return { status: 400, error: "Missing context or message in request body", ondcError: ONDC_ERRORS.CONTEXT_ERROR };
+  }
 
-    if (!isValid) {
-      return res.status(401).json({ error: "Invalid authorization header" });
-    }
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    return { status: 401, error: "Missing authorization header", ondcError: ONDC_ERRORS.SIGNATURE_ERROR };
+  }
 
-    const orderData = message.order || {};
-    console.log(`[${new Date().toISOString()}] /on_init: Final order object=`, JSON.stringify(orderData, null, 2));
+  const bppId = context.bpp_id;
+  if (!bppId) {
+    return { status: 400, error: "Missing bpp_id in context", ondcError: ONDC_ERRORS.CONTEXT_ERROR };
+  }
 
-    res.status(200).json({
-      message: "Init response received successfully",
-      data: orderData,
-    });
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] /on_init: Failed to process init`, error.message);
-    res.status(500).json({
-      error: "Failed to process on_init",
-      details: error.message,
-    });
+  const authParams = parseAuthorizationHeader(authHeader);
+  const { subscriberId, uniqueKeyId } = authParams;
+  if (!subscriberId || !uniqueKeyId) {
+    return { status: 401, error: "Malformed keyId in authorization header", ondcError: ONDC_ERRORS.SIGNATURE_ERROR };
+  }
+  if (subscriberId !== bppId) {
+    return { status: 401, error: "Authorization keyId does not belong to bpp_id", ondcError: ONDC_ERRORS.SIGNATURE_ERROR };
   }
-});
 
-//on_confirm
-app.post(`${new URL(SUBSCRIBER_URL).pathname}/on_confirm`, async (req, res) => {
-  console.log(
-    `[${new Date().toISOString()}] ${new URL(SUBSCRIBER_URL).pathname}/on_confirm: Received confirm response`,
-    JSON.stringify(req.body, null, 2)
-  );
+  const windowError = checkSignatureWindow(authParams, SIGNATURE_CLOCK_SKEW_MS);
+  if (windowError) {
+    return { status: 401, error: windowError, ondcError: ONDC_ERRORS.SIGNATURE_ERROR };
+  }
 
   try {
-    const { context, message } = req.body;
-
-    if (!context || !message) {
-      return res.status(400).json({ error: "Missing context or message in request body" });
+    const signatureError = await verifyRegistrySignature(authParams, req.rawBody, "BPP");
+    if (signatureError === "no_key") {
+      return { status: 401, error: "No valid signing public key found for the BPP", ondcError: ONDC_ERRORS.SIGNATURE_ERROR };
     }
-
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: "Missing authorization header" });
+    if (signatureError) {
+      return { status: 401, error: "Invalid authorization header", ondcError: ONDC_ERRORS.SIGNATURE_ERROR };
     }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] verifyBppCallback: Lookup failed for bpp_id=${bppId}, error=${error.message}`, error.response?.data);
+    return { status: 500, error: "Failed to perform lookup for BPP", ondcError: ONDC_ERRORS.INTERNAL_ERROR };
+  }
 
-    const bppId = context.bpp_id;
-    if (!bppId) {
-      return res.status(400).json({ error: "Missing bpp_id in context" });
+  try {
+    if (!await markSignatureSeen(authParams)) {
+      console.warn(`[${new Date().toISOString()}] verifyBppCallback: Replayed signature from bpp_id=${bppId}, created=${authParams.created}`);
+      return { status: 401, error: "Replayed authorization header, the signature was already used", ondcError: ONDC_ERRORS.SIGNATURE_ERROR };
     }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] verifyBppCallback: Failed to record signature of bpp_id=${bppId}, error=${error.message}`);
+    return { status: 500, error: "Failed to check the signature for replays", ondcError: ONDC_ERRORS.INTERNAL_ERROR };
+  }
 
-    const lookUpPayload = {
-      subscriber_id: bppId,
-      country: COUNTRY,
-      domain: DOMAIN,
-      type: "BPP",
+  return verifyGatewayAuthorization(req);
+}
+
+// Validate a verified callback: its context against the request it answers, and the payload against its schema
+// Returns null when the callback is valid, otherwise { status, error, ondcError } to send back
+async function validateCallback(req) {
+  const contextFailure = await validateCallbackContext(req);
+  if (contextFailure) {
+    return contextFailure;
+  }
+
+  const schemaErrors = validatePayload(req.path.split("/").pop(), req.body);
+  if (schemaErrors.length) {
+    return {
+      status: 400,
+      error: schemaErrors.map((schemaError) => `${schemaError.field} ${schemaError.message}`).join("; "),
+      ondcError: { ...ONDC_ERRORS.SCHEMA_ERROR, path: schemaErrors[0].field },
     };
+  }
 
-    const lookUpAuthHeader = await createAuthorizationHeader({
-      body: JSON.stringify(lookUpPayload),
-      privateKey: process.env.SIGNING_PRIVATE_KEY,
-      subscriberId: SUBSCRIBER_ID,
-      subscriberUniqueKeyId: UNIQUE_KEY_ID,
-    });
+  return null;
+}
 
-    const isLookUpHeaderValid = await isHeaderValid({
-      header: lookUpAuthHeader,
-      body: JSON.stringify(lookUpPayload),
-      publicKey: process.env.SIGNING_PUBLIC_KEY,
-    });
+// Helper function to verify a signature header with the signer's registry key
+// The signer may have rotated its key since it was cached, so the registry is checked once more before rejecting
+// Returns null when the signature is valid, "no_key" when the registry has no valid key, otherwise "invalid"
+async function verifyRegistrySignature(authParams, rawBody, type) {
+  const { subscriberId, uniqueKeyId } = authParams;
+  const verify = (registryKey) => verifySignature(authParams, rawBody, registryKey.signing_public_key);
 
-    if (!isLookUpHeaderValid) {
-      return res.status(500).json({ error: "Header validation failed during lookup" });
-    }
+  const registryKey = await lookupSigningKey(subscriberId, uniqueKeyId, { type });
+  if (registryKey && verify(registryKey)) {
+    return null;
+  }
+  const refreshedKey = await lookupSigningKey(subscriberId, uniqueKeyId, { type, refresh: true });
+  if (!refreshedKey) {
+    return "no_key";
+  }
+  if (refreshedKey.signing_public_key === registryKey?.signing_public_key || !verify(refreshedKey)) {
+    return "invalid";
+  }
+  return null;
+}
 
-    const lookupResponse = await axios.post(ONDC_LOOKUP_URL, lookUpPayload, {
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: lookUpAuthHeader,
-      },
-    });
+// Helper function to check the X-Gateway-Authorization header of a callback against the gateway policy
+// The outcome is left on req.gatewayAuth so it is stored with the message
+// Returns null when the callback may proceed, otherwise { status, error, ondcError } to send back
+async function verifyGatewayAuthorization(req) {
+  const action = req.path.split("/").pop();
+  const policy = GATEWAY_REQUIRED_ACTIONS.includes(action) ? "required" : GATEWAY_VERIFY_WHEN_PRESENT ? "if_present" : "ignore";
+  const header = req.headers["x-gateway-authorization"];
+  const reject = (status, error) => {
+    req.gatewayAuth = { ...req.gatewayAuth, status, error };
+    console.warn(`[${new Date().toISOString()}] verifyGatewayAuthorization: Rejected ${action}, policy=${policy}, error=${error}`);
+    return { status: status === "error" ? 500 : 401, error, ondcError: status === "error" ? ONDC_ERRORS.INTERNAL_ERROR : ONDC_ERRORS.SIGNATURE_ERROR };
+  };
+
+  req.gatewayAuth = { policy, status: header ? "not_checked" : "missing" };
+  if (!header) {
+    return policy === "required" ? reject("missing", `Missing X-Gateway-Authorization header, ${action} must be relayed by the gateway`) : null;
+  }
+  if (policy === "ignore") {
+    return null;
+  }
 
-    const bppDetails = lookupResponse.data && lookupResponse.data.length > 0 ? lookupResponse.data[0] : null;
+  const authParams = parseAuthorizationHeader(header);
+  req.gatewayAuth = { ...req.gatewayAuth, subscriber_id: authParams.subscriberId, unique_key_id: authParams.uniqueKeyId };
+  if (!authParams.subscriberId || !authParams.uniqueKeyId) {
+    return reject("invalid", "Malformed keyId in X-Gateway-Authorization header");
+  }
+  const windowError = checkSignatureWindow(authParams, SIGNATURE_CLOCK_SKEW_MS);
+  if (windowError) {
+    return reject("invalid", windowError.replace("Authorization header", "X-Gateway-Authorization header"));
+  }
 
-    if (!bppDetails || !bppDetails.signing_public_key) {
-      return res.status(400).json({ error: "No signing public key found for the BPP" });
+  try {
+    const signatureError = await verifyRegistrySignature(authParams, req.rawBody, "BG");
+    if (signatureError) {
+      return reject("invalid", signatureError === "no_key"
+        ? `No valid signing public key found for gateway ${authParams.subscriberId}`
+        : "Invalid X-Gateway-Authorization header");
     }
+    const gatewayKey = await lookupSigningKey(authParams.subscriberId, authParams.uniqueKeyId, { type: "BG" });
+    if (gatewayKey?.entry?.type && gatewayKey.entry.type !== "BG") {
+      return reject("invalid", `${authParams.subscriberId} is registered as ${gatewayKey.entry.type}, not as a gateway`);
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] verifyGatewayAuthorization: Lookup failed for gateway=${authParams.subscriberId}, error=${error.message}`, error.response?.data);
+    return reject("error", "Failed to perform lookup for the gateway");
+  }
 
-    const bppPublicKey = bppDetails.signing_public_key;
+  req.gatewayAuth = { ...req.gatewayAuth, status: "valid" };
+  return null;
+}
 
-    const isValid = await isHeaderValid({
-      header: authHeader,
-      body: JSON.stringify(req.body),
-      publicKey: bppPublicKey,
-    });
+// Helper function to remember a verified signature until it expires
+// Returns false when the signature was seen before, i.e. the request is a replay
+async function markSignatureSeen({ signature, subscriberId, expires }) {
+  if (Date.now() - seenSignaturesPrunedAt > REGISTRY_REFRESH_INTERVAL_MS) {
+    seenSignaturesPrunedAt = Date.now();
+    await dbQuery("DELETE FROM seen_signatures WHERE expires_at < $1", [new Date(Date.now() - SIGNATURE_CLOCK_SKEW_MS)]);
+  }
+  const result = await dbQuery(
+    "INSERT INTO seen_signatures (signature, subscriber_id, expires_at) VALUES ($1, $2, to_timestamp($3)) ON CONFLICT (signature) DO NOTHING",
+    [signature, subscriberId, Number(expires)]
+  );
+  return result.rowCount === 1;
+}
 
-    if (!isValid) {
-      return res.status(401).json({ error: "Invalid authorization header" });
-    }
+// Build the transaction (v2.0.0) context for a request on a stored transaction
+function buildTransactionContext(action, transaction) {
+  return {
+    domain: DOMAIN,
+    location: {
+      country: { code: transaction.country },
+      city: { code: transaction.city },
+    },
+    timestamp: getUTCTimestamp(),
+    bap_id: SUBSCRIBER_ID,
+    transaction_id: transaction.transaction_id,
+    message_id: crypto.randomUUID(),
+    version: "2.0.0",
+    action,
+    bap_uri: SUBSCRIBER_URL,
+    bpp_id: transaction.bpp_id,
+    bpp_uri: transaction.bpp_uri,
+    ttl: "PT30S",
+  };
+}
 
-    const orderData = message.order || {};
-    console.log(`[${new Date().toISOString()}] /on_confirm: Final confirmed order object =`, JSON.stringify(orderData, null, 2));
+// Build the IGM (core_version 1.0.0) context, which uses flat country/city codes instead of location
+function buildIgmContext(action, transaction) {
+  return {
+    domain: DOMAIN,
+    country: transaction.country,
+    city: transaction.city,
+    action,
+    core_version: "1.0.0",
+    bap_id: SUBSCRIBER_ID,
+    bap_uri: SUBSCRIBER_URL,
+    bpp_id: transaction.bpp_id,
+    bpp_uri: transaction.bpp_uri,
+    transaction_id: transaction.transaction_id,
+    message_id: crypto.randomUUID(),
+    timestamp: getUTCTimestamp(),
+    ttl: "PT30S",
+  };
+}
 
-    res.status(200).json({
-      message: "Confirm response received successfully",
-      data: orderData,
-    });
+// Helper function to send a request to the gateway or a BPP (see deliverMessage) and record it
+// The message and the lifecycle transition are recorded before it goes out, so a callback that overtakes the response
+// to it finds its request and the state it expects. A request that isn't delivered or is NACKed moves the lifecycle
+// back; an ACKed one is recorded with recordSentRequest
+// Returns the response and what recordSentRequest stored
+async function sendNetworkRequest(url, payload, options) {
+  const { action, transaction_id: transactionId } = payload.context;
+  const transition = LIFECYCLE_EVENTS[action] ? await advanceLifecycle(transactionId, action) : null;
+  if (transition?.error) {
+    throw new Error(transition.error);
+  }
+
+  const messageId = await recordMessage("outbound", action, payload);
+  let response;
+  try {
+    response = await deliverMessage(url, payload, options);
+    await recordMessageResponse(messageId, response.status, response.data);
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] /on_confirm: Failed to process confirm`, error.message);
-    res.status(500).json({
-      error: "Failed to process on_confirm",
-      details: error.message,
-    });
+    await recordMessageResponse(messageId, error.response?.status, error.response?.data || { error: error.message });
+    if (transition) {
+      await revertLifecycle(transactionId, action, transition);
+    }
+    throw error;
   }
-});
 
+  if (response.data?.message?.ack?.status === "NACK") {
+    console.warn(`[${new Date().toISOString()}] /${action}: NACKed by ${url}, transaction_id=${transactionId}`, JSON.stringify(response.data.error));
+    if (transition) {
+      await revertLifecycle(transactionId, action, transition);
+    }
+    return { response };
+  }
+  return { response, stored: await recordSentRequest(payload) };
+}
 
-// Start server
-app.listen(port, () => {
-  console.log(`[${new Date().toISOString()}] Server started on port ${port}`);
-});
+// Sign and send a request for a stored transaction to its BPP at `${bpp_uri}/${action}`
+// Returns the payload that was sent, the BPP's response and what recordSentRequest stored
+async function sendBppRequest(action, transaction, message, buildContext = buildTransactionContext) {
+  const payload = {
+    context: buildContext(action, transaction),
+    message,
+  };
 
-// Decrypt using AES-256-ECB
-function decryptAES256ECB(key, encrypted) {
-  try {
-    const iv = Buffer.alloc(0); // ECB doesn't use IV
-    const decipher = crypto.createDecipheriv('aes-256-ecb', key, iv);
-    let decrypted = decipher.update(encrypted, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
-    console.log(`[${new Date().toISOString()}] decryptAES256ECB: Decryption successful`);
-    return decrypted;
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] decryptAES256ECB: Decryption failed, error=${error.message}`);
-    throw new Error('Failed to decrypt challenge');
-  }
-}
+  console.log(`[${new Date().toISOString()}] /${action}: Final payload=`, JSON.stringify(payload));
 
-// Sign message using Ed25519
-async function signMessage(signingString, privateKey) {
-  try {
-    await _sodium.ready;
-    const sodium = _sodium;
-    const signedMessage = sodium.crypto_sign_detached(
-      signingString,
-      sodium.from_base64(privateKey, sodium.base64_variants.ORIGINAL),
-    );
-    const signature = sodium.to_base64(signedMessage, sodium.base64_variants.ORIGINAL);
-    console.log(`[${new Date().toISOString()}] signMessage: Message signed successfully, signingString=${signingString}`);
-    return signature;
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] signMessage: Failed to sign message, error=${error.message}`);
-    throw new Error('Failed to sign message');
-  }
+  const schemaErrors = validatePayload(action, payload);
+  if (schemaErrors.length) {
+    const error = new Error(`Payload does not match the ONDC ${action} schema`);
+    error.errors = schemaErrors;
+    throw error;
+  }
+
+  const { response, stored } = await sendNetworkRequest(`${transaction.bpp_uri.replace(/\/$/, "")}/${action}`, payload);
+  return { payload, response, stored };
 }
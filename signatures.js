@@ -0,0 +1,64 @@
+// ONDC request signatures: the Authorization header a signed callback carries and its ed25519 signature over the body
+// The header looks like
+//   Signature keyId="subscriber_id|unique_key_id|ed25519",algorithm="ed25519",created="...",expires="...",
+//   headers="(created) (expires) digest",signature="..."
+const crypto = require('crypto');
+
+// Helper function to split a signature Authorization header into its parameters
+// keyId is "subscriber_id|unique_key_id|algorithm"
+function parseAuthorizationHeader(header) {
+  const params = {};
+  for (const [, name, value] of header.matchAll(/(\w+)="([^"]*)"/g)) {
+    params[name] = value;
+  }
+  const [subscriberId, uniqueKeyId, algorithm] = (params.keyId || '').split('|');
+  return { ...params, subscriberId, uniqueKeyId, algorithm };
+}
+
+// Helper function to check the created/expires window of a signature Authorization header
+// clockSkewMs is the clock drift allowed on either side of the window
+// Returns an error message, or null when the header is usable now
+function checkSignatureWindow({ created, expires, headers, algorithm }, clockSkewMs) {
+  if (algorithm !== 'ed25519' || (headers && headers !== '(created) (expires) digest')) {
+    return 'Authorization header must be an ed25519 signature over (created) (expires) digest';
+  }
+  if (!/^\d+$/.test(created || '') || !/^\d+$/.test(expires || '')) {
+    return 'Authorization header must carry numeric created and expires';
+  }
+  const createdAt = Number(created) * 1000;
+  const expiresAt = Number(expires) * 1000;
+  const now = Date.now();
+  if (expiresAt <= createdAt) {
+    return 'Authorization header expires before it was created';
+  }
+  if (createdAt > now + clockSkewMs) {
+    return `Authorization header created in the future (${new Date(createdAt).toISOString()})`;
+  }
+  if (expiresAt < now - clockSkewMs) {
+    return `Authorization header expired at ${new Date(expiresAt).toISOString()}`;
+  }
+  return null;
+}
+
+// Helper function to verify a signature Authorization header over the raw request body
+// The signing string is rebuilt from the header's created/expires and the BLAKE-512 (BLAKE2b) digest of the
+// bytes exactly as received, so the sender's key order, whitespace or escaping doesn't matter
+function verifySignature({ created, expires, signature }, rawBody, signingPublicKey) {
+  const digest = crypto.createHash('blake2b512').update(rawBody || '').digest('base64');
+  const signingString = `(created): ${created}\n(expires): ${expires}\ndigest: BLAKE-512=${digest}`;
+  try {
+    return crypto.verify(null, Buffer.from(signingString), ed25519PublicKey(signingPublicKey), Buffer.from(signature || '', 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to turn a base64 raw Ed25519 public key (as registered with ONDC) into a KeyObject
+function ed25519PublicKey(publicKey) {
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey, 'base64').toString('base64url') },
+    format: 'jwk',
+  });
+}
+
+module.exports = { parseAuthorizationHeader, checkSignatureWindow, verifySignature, ed25519PublicKey };
@@ -0,0 +1,257 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { hashApiKey, createClientAuth } = require('../auth');
+const { fakeDatabase } = require('./helpers');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+// Helper function to create the client authentication over in-memory api_keys and rate_limits tables
+function clientAuth({ apiKeys = [], ...options } = {}) {
+  const db = fakeDatabase({ api_keys: apiKeys });
+  const auth = createClientAuth({
+    dbQuery: db.dbQuery,
+    adminApiKey: 'admin-key',
+    jwtSecret: JWT_SECRET,
+    jwtIssuer: undefined,
+    jwtAudience: undefined,
+    streamTokenSecret: 'test-stream-secret',
+    streamTokenTtlSeconds: 300,
+    rateLimitPerMinute: 5,
+    pruneIntervalMs: 60000,
+    ...options,
+  });
+  return { ...auth, rateLimits: () => db.rows('rate_limits'), failQueries: db.failQueries };
+}
+
+// Helper function to build a request with the given headers (looked up case-insensitively, like Express does)
+function request(headers = {}, { query = {}, params = {} } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { originalUrl: '/test', query, params, get: (name) => lowered[name.toLowerCase()] };
+}
+
+// Helper function to run a middleware and report the response it sent, or that it called next
+async function run(middleware, req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { nextCalled, status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+// Helper function to sign a client JWT
+function clientJwt(claims, options = {}) {
+  return jwt.sign(claims, JWT_SECRET, { algorithm: 'HS256', expiresIn: 60, ...options });
+}
+
+test('hashApiKey hashes a key to hex SHA-256', () => {
+  assert.equal(hashApiKey('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('authenticateClient accepts the admin API key from the environment', async () => {
+  const { authenticateClient } = clientAuth();
+
+  assert.deepEqual(await authenticateClient(request({ 'X-API-Key': 'admin-key' })), { subject: 'ADMIN_API_KEY', role: 'admin', rate_limit: 5 });
+});
+
+test('authenticateClient accepts a stored API key with its own rate limit', async () => {
+  const { authenticateClient } = clientAuth({
+    apiKeys: [
+      { id: 7, key_hash: hashApiKey('app-key'), role: 'app', rate_limit_per_minute: 100 },
+      { id: 8, key_hash: hashApiKey('default-key'), role: 'app', rate_limit_per_minute: null },
+    ],
+  });
+
+  assert.deepEqual(await authenticateClient(request({ 'X-API-Key': 'app-key' })), { subject: 'api_key:7', role: 'app', rate_limit: 100 });
+  assert.deepEqual(await authenticateClient(request({ 'X-API-Key': 'default-key' })), { subject: 'api_key:8', role: 'app', rate_limit: 5 });
+});
+
+test('authenticateClient rejects unknown and revoked API keys', async () => {
+  const { authenticateClient } = clientAuth({
+    apiKeys: [{ id: 7, key_hash: hashApiKey('revoked-key'), role: 'app', revoked_at: new Date() }],
+  });
+
+  assert.deepEqual(await authenticateClient(request({ 'X-API-Key': 'revoked-key' })), { error: 'Invalid or revoked API key' });
+  assert.deepEqual(await authenticateClient(request({ 'X-API-Key': 'unknown-key' })), { error: 'Invalid or revoked API key' });
+});
+
+test('authenticateClient rejects requests without credentials', async () => {
+  const { authenticateClient } = clientAuth();
+
+  assert.match((await authenticateClient(request())).error, /^Missing credentials/);
+  assert.match((await authenticateClient(request({ Authorization: 'Basic dXNlcjpwYXNz' }))).error, /^Missing credentials/);
+});
+
+test('authenticateClient accepts a JWT with a sub and a role', async () => {
+  const { authenticateClient } = clientAuth();
+  const token = clientJwt({ sub: 'storefront', role: 'app' });
+
+  assert.deepEqual(await authenticateClient(request({ Authorization: `Bearer ${token}` })), { subject: 'jwt:storefront', role: 'app', rate_limit: 5 });
+});
+
+test('authenticateClient rejects JWTs without a known role, badly signed or expired', async () => {
+  const { authenticateClient } = clientAuth();
+  const bearer = (token) => request({ Authorization: `Bearer ${token}` });
+
+  assert.match((await authenticateClient(bearer(clientJwt({ sub: 'storefront', role: 'root' })))).error, /^JWT must carry a sub and a role claim/);
+  assert.match((await authenticateClient(bearer(clientJwt({ role: 'app' })))).error, /^JWT must carry a sub and a role claim/);
+  assert.equal((await authenticateClient(bearer(jwt.sign({ sub: 'storefront', role: 'admin' }, 'other-secret')))).error, 'Invalid JWT, invalid signature');
+  assert.equal((await authenticateClient(bearer(clientJwt({ sub: 'storefront', role: 'app' }, { expiresIn: -10 })))).error, 'Invalid JWT, jwt expired');
+});
+
+test('authenticateClient rejects JWTs when JWT authentication is not configured', async () => {
+  const { authenticateClient } = clientAuth({ jwtSecret: undefined });
+
+  assert.deepEqual(await authenticateClient(request({ Authorization: `Bearer ${clientJwt({ sub: 'storefront', role: 'app' })}` })), {
+    error: 'JWT authentication is not configured',
+  });
+});
+
+test('authenticateClient checks the issuer and audience of a JWT when they are configured', async () => {
+  const { authenticateClient } = clientAuth({ jwtIssuer: 'https://auth.example.com', jwtAudience: 'ondc-bap' });
+  const bearer = (options) => request({ Authorization: `Bearer ${clientJwt({ sub: 'storefront', role: 'app' }, options)}` });
+
+  assert.equal((await authenticateClient(bearer({ issuer: 'https://auth.example.com', audience: 'ondc-bap' }))).subject, 'jwt:storefront');
+  assert.match((await authenticateClient(bearer({ issuer: 'https://auth.example.com', audience: 'other-service' }))).error, /^Invalid JWT, jwt audience invalid/);
+  assert.match((await authenticateClient(bearer({ issuer: 'https://auth.example.com' }))).error, /^Invalid JWT, jwt audience invalid/);
+  assert.match((await authenticateClient(bearer({ issuer: 'https://other.example.com', audience: 'ondc-bap' }))).error, /^Invalid JWT, jwt issuer invalid/);
+});
+
+test('authenticateClient rejects a stream token sent as a JWT, even one signed with the JWT secret', async () => {
+  const { authenticateClient, issueStreamToken } = clientAuth({ streamTokenSecret: JWT_SECRET });
+  const { token } = issueStreamToken({ subject: 'jwt:storefront', role: 'admin' }, 'txn-1');
+
+  assert.deepEqual(await authenticateClient(request({ Authorization: `Bearer ${token}` })), {
+    error: 'Invalid JWT, stream tokens only open their search stream',
+  });
+});
+
+test('requireClientRole lets an authenticated client through and sets the rate limit headers', async () => {
+  const { requireClientRole, rateLimits } = clientAuth();
+  const req = request({ 'X-API-Key': 'admin-key' });
+
+  const { nextCalled, headers } = await run(requireClientRole('admin'), req);
+  assert.equal(nextCalled, true);
+  assert.deepEqual(req.principal, { subject: 'ADMIN_API_KEY', role: 'admin', rate_limit: 5 });
+  assert.equal(headers['X-RateLimit-Limit'], '5');
+  assert.equal(headers['X-RateLimit-Remaining'], '4');
+  assert.ok(Number(headers['X-RateLimit-Reset']) * 1000 > Date.now());
+  assert.deepEqual(rateLimits().map(({ subject, requests }) => [subject, requests]), [['ADMIN_API_KEY', 1]]);
+});
+
+test('requireClientRole answers 401 with WWW-Authenticate for invalid credentials', async () => {
+  const { requireClientRole } = clientAuth();
+
+  const { nextCalled, status, headers, body } = await run(requireClientRole('app'), request({ 'X-API-Key': 'unknown-key' }));
+  assert.equal(nextCalled, false);
+  assert.equal(status, 401);
+  assert.equal(headers['WWW-Authenticate'], 'Bearer realm="client"');
+  assert.deepEqual(body, { error: 'Unauthorized', details: 'Invalid or revoked API key' });
+});
+
+test('requireClientRole answers 403 to an app client on an admin route', async () => {
+  const { requireClientRole, rateLimits } = clientAuth();
+  const bearer = () => request({ Authorization: `Bearer ${clientJwt({ sub: 'storefront', role: 'app' })}` });
+
+  assert.equal((await run(requireClientRole('app'), bearer())).nextCalled, true);
+  const { nextCalled, status, body } = await run(requireClientRole('admin'), bearer());
+  assert.equal(nextCalled, false);
+  assert.equal(status, 403);
+  assert.deepEqual(body, { error: 'Forbidden', details: 'This route requires the admin role' });
+  // Only the allowed request was counted
+  assert.deepEqual(rateLimits().map(({ requests }) => requests), [1]);
+});
+
+test('requireClientRole answers 429 with Retry-After once a client is over its rate limit', async () => {
+  const { requireClientRole } = clientAuth({
+    apiKeys: [{ id: 7, key_hash: hashApiKey('app-key'), role: 'app', rate_limit_per_minute: 2 }],
+  });
+  const middleware = requireClientRole('app');
+
+  assert.equal((await run(middleware, request({ 'X-API-Key': 'app-key' }))).nextCalled, true);
+  assert.equal((await run(middleware, request({ 'X-API-Key': 'app-key' }))).nextCalled, true);
+  const { nextCalled, status, headers, body } = await run(middleware, request({ 'X-API-Key': 'app-key' }));
+  assert.equal(nextCalled, false);
+  assert.equal(status, 429);
+  assert.equal(headers['X-RateLimit-Limit'], '2');
+  assert.equal(headers['X-RateLimit-Remaining'], '0');
+  assert.ok(Number(headers['Retry-After']) > 0 && Number(headers['Retry-After']) <= 60);
+  assert.deepEqual(body, { error: 'Too many requests', details: 'Rate limit of 2 requests per minute exceeded' });
+  // Other clients have limits of their own
+  assert.equal((await run(middleware, request({ 'X-API-Key': 'admin-key' }))).nextCalled, true);
+});
+
+test('requireClientRole prunes past rate limit windows at most once per interval', async () => {
+  const { requireClientRole, rateLimits } = clientAuth();
+  const past = { subject: 'ADMIN_API_KEY', window_start: new Date(Date.now() - 600000), requests: 3 };
+  rateLimits().push({ ...past });
+
+  await run(requireClientRole('admin'), request({ 'X-API-Key': 'admin-key' }));
+  assert.deepEqual(rateLimits().map(({ requests }) => requests), [1]);
+  rateLimits().push({ ...past });
+  await run(requireClientRole('admin'), request({ 'X-API-Key': 'admin-key' }));
+  assert.equal(rateLimits().length, 2);
+});
+
+test('requireClientRole answers 500 when the database fails', async () => {
+  const { requireClientRole, failQueries } = clientAuth();
+  failQueries();
+
+  const { nextCalled, status, body } = await run(requireClientRole('app'), request({ 'X-API-Key': 'app-key' }));
+  assert.equal(nextCalled, false);
+  assert.equal(status, 500);
+  assert.deepEqual(body, { error: 'Authentication failed', details: 'connection refused' });
+});
+
+test('authenticateStreamToken opens the stream of the transaction its token was issued for', async () => {
+  const { issueStreamToken, authenticateStreamToken, requireClientRole, rateLimits } = clientAuth();
+  const { token, expiresAt } = issueStreamToken({ subject: 'jwt:storefront', role: 'app' }, 'txn-1');
+  assert.ok(Date.parse(expiresAt) > Date.now() + 290000);
+  const req = request({}, { query: { token }, params: { transaction_id: 'txn-1' } });
+
+  assert.equal((await run(authenticateStreamToken, req)).nextCalled, true);
+  assert.deepEqual(req.principal, { subject: 'jwt:storefront', role: 'app', rate_limit: 5 });
+  // The role check that follows lets it through without counting the request again
+  assert.equal((await run(requireClientRole('app'), req)).nextCalled, true);
+  assert.deepEqual(rateLimits(), []);
+});
+
+test('authenticateStreamToken rejects a token issued for another transaction or signed with another secret', async () => {
+  const { issueStreamToken, authenticateStreamToken } = clientAuth();
+  const { token } = issueStreamToken({ subject: 'jwt:storefront', role: 'app' }, 'txn-1');
+  const forged = jwt.sign({ sub: 'storefront', role: 'admin' }, JWT_SECRET, { audience: 'search-stream:txn-2' });
+
+  for (const [query, details] of [[token, /^Invalid stream token, jwt audience invalid/], [forged, /^Invalid stream token, invalid signature/]]) {
+    const req = request({}, { query: { token: query }, params: { transaction_id: 'txn-2' } });
+    const { nextCalled, status, body } = await run(authenticateStreamToken, req);
+    assert.equal(nextCalled, false);
+    assert.equal(status, 401);
+    assert.match(body.details, details);
+    assert.equal(req.principal, undefined);
+  }
+});
+
+test('authenticateStreamToken leaves requests without a token to the header checks', async () => {
+  const { authenticateStreamToken } = clientAuth();
+  const req = request({ 'X-API-Key': 'admin-key' }, { params: { transaction_id: 'txn-1' } });
+
+  assert.equal((await run(authenticateStreamToken, req)).nextCalled, true);
+  assert.equal(req.principal, undefined);
+});
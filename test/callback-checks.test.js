@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ONDC_ERRORS, createCallbackChecks } = require('../callback-checks');
+const { fakeDatabase } = require('./helpers');
+
+// Helper function to record what a handler sends, in place of an Express response
+function fakeResponse() {
+  return {
+    statusCode: null,
+    headers: {},
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+const { sendAck, sendNack } = createCallbackChecks({ subscriberId: 'bap.example.com' });
+
+test('sendAck answers 200 with the ONDC ACK', () => {
+  const res = sendAck(fakeResponse());
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { message: { ack: { status: 'ACK' } } });
+});
+
+test('sendNack answers with a NACK carrying the ONDC error and message', () => {
+  const res = sendNack(fakeResponse(), 400, ONDC_ERRORS.OUT_OF_SEQUENCE, 'No select request was sent');
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    message: { ack: { status: 'NACK' } },
+    error: { type: 'CONTEXT-ERROR', code: '20008', message: 'No select request was sent' },
+  });
+  assert.equal(res.headers['WWW-Authenticate'], undefined);
+});
+
+test('sendNack adds the signature challenge to 401 NACKs', () => {
+  const res = sendNack(fakeResponse(), 401, ONDC_ERRORS.SIGNATURE_ERROR, 'Invalid authorization header');
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.headers['WWW-Authenticate'], 'Signature realm="bap.example.com",headers="(created) (expires) digest"');
+  assert.deepEqual(res.body.error, { type: 'POLICY-ERROR', code: '20001', message: 'Invalid authorization header' });
+});
+
+test('sendNack keeps extra error fields such as the schema error path', () => {
+  const res = sendNack(fakeResponse(), 400, { ...ONDC_ERRORS.SCHEMA_ERROR, path: 'message.order' }, 'message.order is required');
+  assert.deepEqual(res.body.error, { type: 'JSON-SCHEMA-ERROR', code: '20006', path: 'message.order', message: 'message.order is required' });
+});
+
+// Helper function to build the context of a request sent to the test BPP
+function sentContext(action, overrides = {}) {
+  return {
+    domain: 'ONDC:RET10',
+    version: '2.0.0',
+    action,
+    bap_id: 'bap.example.com',
+    bap_uri: 'https://bap.example.com/bapl',
+    bpp_id: 'bpp.example.com',
+    bpp_uri: 'https://bpp.example.com',
+    transaction_id: 'txn-1',
+    message_id: `${action}-1`,
+    timestamp: new Date().toISOString(),
+    ttl: 'PT30S',
+    ...overrides,
+  };
+}
+
+// Helper function to build the request Express hands to validateCallbackContext for a callback
+function callbackRequest(action, overrides = {}) {
+  const request = sentContext(action.replace(/^on_/, ''));
+  return { path: `/bapl/${action}`, body: { context: { ...request, action, ...overrides } } };
+}
+
+// Helper function to create the context checks over the messages table holding a list of sent payloads
+function contextChecks(sent) {
+  const messages = sent.map((payload) => ({
+    direction: 'outbound',
+    transaction_id: payload.context.transaction_id,
+    message_id: payload.context.message_id,
+    action: payload.context.action,
+    payload,
+  }));
+  return createCallbackChecks({
+    subscriberId: 'bap.example.com',
+    subscriberUrl: 'https://bap.example.com/bapl/',
+    dbQuery: fakeDatabase({ messages }).dbQuery,
+  }).validateCallbackContext;
+}
+
+test('validateCallbackContext accepts a callback that answers a request we sent', async () => {
+  const validate = contextChecks([{ context: sentContext('select') }]);
+  assert.equal(await validate(callbackRequest('on_select')), null);
+});
+
+test('validateCallbackContext rejects callbacks not addressed to this buyer app', async () => {
+  const validate = contextChecks([{ context: sentContext('select') }]);
+  for (const overrides of [{ bap_id: 'other.example.com' }, { bap_uri: 'https://other.example.com/bapl' }]) {
+    const result = await validate(callbackRequest('on_select', overrides));
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.ondcError, ONDC_ERRORS.CONTEXT_ERROR);
+    assert.match(result.error, /bap_id\/bap_uri/);
+  }
+});
+
+test('validateCallbackContext rejects a context action that does not match the route', async () => {
+  const validate = contextChecks([{ context: sentContext('select') }]);
+  const result = await validate(callbackRequest('on_select', { action: 'on_init' }));
+  assert.equal(result.error, 'Context action on_init does not match on_select');
+});
+
+test('validateCallbackContext rejects a context without transaction_id or message_id', async () => {
+  const validate = contextChecks([{ context: sentContext('select') }]);
+  const result = await validate(callbackRequest('on_select', { message_id: undefined }));
+  assert.equal(result.error, 'Missing transaction_id or message_id in context');
+});
+
+test('validateCallbackContext answers a callback with no matching request as out of sequence', async () => {
+  const validate = contextChecks([{ context: sentContext('select') }]);
+  const result = await validate(callbackRequest('on_init'));
+  assert.deepEqual(result.ondcError, ONDC_ERRORS.OUT_OF_SEQUENCE);
+  assert.equal(result.error, 'No init request was sent for this transaction_id/message_id');
+});
+
+test('validateCallbackContext rejects a callback from another BPP, except for search', async () => {
+  const validate = contextChecks([{ context: sentContext('select') }, { context: sentContext('search', { bpp_id: undefined }) }]);
+  const result = await validate(callbackRequest('on_select', { bpp_id: 'other-bpp.example.com' }));
+  assert.equal(result.error, 'Context bpp_id other-bpp.example.com is not the BPP the select request was sent to');
+  assert.equal(await validate(callbackRequest('on_search', { bpp_id: 'other-bpp.example.com' })), null);
+});
+
+test('validateCallbackContext rejects a domain or version other than the request', async () => {
+  const validate = contextChecks([{ context: sentContext('select') }]);
+  assert.equal((await validate(callbackRequest('on_select', { domain: 'ONDC:RET11' }))).error, 'Context domain ONDC:RET11 does not match the request (ONDC:RET10)');
+  assert.equal((await validate(callbackRequest('on_select', { version: '1.2.0' }))).error, 'Context version 1.2.0 does not match the request (2.0.0)');
+});
+
+test('validateCallbackContext answers a callback after the request ttl as stale', async () => {
+  const timestamp = new Date(Date.now() - 31000).toISOString();
+  const validate = contextChecks([{ context: sentContext('select', { timestamp }) }]);
+  const result = await validate(callbackRequest('on_select'));
+  assert.deepEqual(result.ondcError, ONDC_ERRORS.STALE_REQUEST);
+  assert.equal(result.error, "Callback arrived after the select request's ttl of PT30S");
+});
+
+test('validateCallbackContext checks unsolicited callbacks against the confirm, without its ttl', async () => {
+  const timestamp = new Date(Date.now() - 3600000).toISOString();
+  const validate = contextChecks([{ context: sentContext('confirm', { timestamp }) }]);
+  assert.equal(await validate(callbackRequest('on_status', { message_id: 'bpp-status-7' })), null);
+  const result = await validate(callbackRequest('on_status', { transaction_id: 'txn-2' }));
+  assert.deepEqual(result.ondcError, ONDC_ERRORS.OUT_OF_SEQUENCE);
+});
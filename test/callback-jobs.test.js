@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { registerCallbackHandler, registerCallbackHook } = require('../callbacks');
+const { createCallbackJobs } = require('../callback-jobs');
+const { fakeDatabase } = require('./helpers');
+
+// Test-only actions, so they can't clash with real handlers in the shared registry
+const processed = [];
+registerCallbackHandler('on_test_hooks', { process: async (payload) => processed.push(['handler', payload.context.message_id]) });
+registerCallbackHook('on_test_hooks', 'first', async (payload) => processed.push(['first', payload.context.message_id]));
+registerCallbackHook('on_test_hooks', 'second', async () => {
+  throw new Error('booking service down');
+});
+registerCallbackHandler('on_test_failing', {
+  process: async () => {
+    throw new Error('order not found');
+  },
+});
+
+// Helper function to create a job queue over an in-memory callback_jobs table
+function callbackJobs(jobs = []) {
+  const db = fakeDatabase({ callback_jobs: jobs });
+  const events = new EventEmitter();
+  let wakeups = 0;
+  events.on('queued', () => wakeups++);
+  const queue = createCallbackJobs({
+    dbQuery: db.dbQuery,
+    events,
+    maxAttempts: 3,
+    pollMs: 50,
+    lockMs: 60000,
+    retentionMs: 3600000,
+    pruneIntervalMs: 60000,
+  });
+  return { ...queue, jobs: () => db.rows('callback_jobs'), notifications: db.notifications, failQueries: db.failQueries, wakeups: () => wakeups };
+}
+
+// Helper function to build a callback job as claimCallbackJob returns it
+function job(action, fields = {}) {
+  const payload = { context: { action, transaction_id: 'txn-1', message_id: 'msg-1' }, message: {} };
+  return { id: 11, action, hook: null, transaction_id: 'txn-1', message_id: 'msg-1', status: 'running', attempts: 1, payload, ...fields };
+}
+
+test('enqueueCallbackJob stores the job and notifies every instance', async () => {
+  const { enqueueCallbackJob, jobs, notifications } = callbackJobs();
+  const { payload } = job('on_test_hooks');
+
+  const id = await enqueueCallbackJob(payload, 'first');
+  assert.deepEqual(jobs().map(({ run_at, ...stored }) => stored), [{
+    id,
+    action: 'on_test_hooks',
+    hook: 'first',
+    transaction_id: 'txn-1',
+    message_id: 'msg-1',
+    payload,
+    status: 'queued',
+    attempts: 0,
+  }]);
+  assert.deepEqual(notifications, [String(id)]);
+});
+
+test('processCallbackJob runs the handler, queues a job per hook and marks the job done', async () => {
+  processed.length = 0;
+  const { processCallbackJob, jobs, wakeups } = callbackJobs([job('on_test_hooks')]);
+
+  await processCallbackJob(job('on_test_hooks'));
+  assert.deepEqual(processed, [['handler', 'msg-1']]);
+  assert.deepEqual(jobs().map((stored) => [stored.hook, stored.status]), [[null, 'done'], ['first', 'queued'], ['second', 'queued']]);
+  assert.equal(wakeups(), 1);
+});
+
+test('processCallbackJob runs only the hook of a hook job', async () => {
+  processed.length = 0;
+  const { processCallbackJob, jobs } = callbackJobs([job('on_test_hooks', { hook: 'first' })]);
+
+  await processCallbackJob(job('on_test_hooks', { hook: 'first' }));
+  assert.deepEqual(processed, [['first', 'msg-1']]);
+  assert.deepEqual(jobs().map((stored) => stored.status), ['done']);
+});
+
+test('processCallbackJob queues a failed job again with a growing delay', async () => {
+  const { processCallbackJob, jobs } = callbackJobs([job('on_test_hooks', { hook: 'second', attempts: 2 })]);
+
+  const before = Date.now();
+  await processCallbackJob(job('on_test_hooks', { hook: 'second', attempts: 2 }));
+  const [stored] = jobs();
+  assert.equal(stored.status, 'queued');
+  assert.equal(stored.last_error, 'booking service down');
+  assert.ok(stored.run_at.getTime() >= before + 4000 && stored.run_at.getTime() <= Date.now() + 4000);
+});
+
+test('processCallbackJob marks a job failed once it has used up its attempts', async () => {
+  const { processCallbackJob, jobs } = callbackJobs([job('on_test_failing', { attempts: 3 })]);
+
+  await processCallbackJob(job('on_test_failing', { attempts: 3 }));
+  assert.equal(jobs()[0].status, 'failed');
+  assert.equal(jobs()[0].last_error, 'order not found');
+});
+
+test('processCallbackJob retries jobs whose handler or hook is not registered', async () => {
+  const { processCallbackJob, jobs } = callbackJobs([job('on_test_unknown', { id: 1 }), job('on_test_hooks', { id: 2, hook: 'removed' })]);
+
+  await processCallbackJob(jobs()[0]);
+  await processCallbackJob(jobs()[1]);
+  assert.deepEqual(jobs().map((stored) => [stored.status, stored.last_error]), [
+    ['queued', 'No handler is registered for on_test_unknown'],
+    ['queued', 'No removed hook is registered for on_test_hooks'],
+  ]);
+});
+
+test('processCallbackJob leaves the job to be taken over when its outcome cannot be recorded', async () => {
+  const { processCallbackJob, jobs, failQueries, wakeups } = callbackJobs([job('on_test_failing')]);
+  failQueries();
+
+  await processCallbackJob(job('on_test_failing'));
+  assert.equal(jobs()[0].status, 'running');
+  assert.equal(wakeups(), 1);
+});
+
+test('claimCallbackJob runs the jobs of a transaction in order, except on_search', async () => {
+  const { claimCallbackJob } = callbackJobs([
+    job('on_status', { id: 1, status: 'running', locked_at: new Date() }),
+    job('on_status', { id: 2, status: 'queued', run_at: new Date() }),
+    job('on_search', { id: 3, status: 'queued', run_at: new Date() }),
+    job('on_status', { id: 4, status: 'queued', run_at: new Date(), transaction_id: 'txn-2' }),
+  ]);
+
+  assert.equal((await claimCallbackJob()).id, 3);
+  assert.equal((await claimCallbackJob()).id, 4);
+  assert.equal(await claimCallbackJob(), null);
+});
+
+test('claimCallbackJob takes over a job whose lock expired and counts the attempt', async () => {
+  const { claimCallbackJob, jobs } = callbackJobs([job('on_status', { id: 1, status: 'running', attempts: 1, locked_at: new Date(Date.now() - 120000) })]);
+
+  const claimed = await claimCallbackJob();
+  assert.equal(claimed.id, 1);
+  assert.equal(claimed.attempts, 2);
+  assert.ok(jobs()[0].locked_at > new Date(Date.now() - 1000));
+});
+
+test('claimCallbackJob prunes finished jobs at most once per interval', async () => {
+  const old = new Date(Date.now() - 7200000);
+  const { claimCallbackJob, jobs } = callbackJobs([job('on_status', { id: 1, status: 'done', finished_at: old })]);
+
+  assert.equal(await claimCallbackJob(), null);
+  assert.deepEqual(jobs(), []);
+  jobs().push(job('on_status', { id: 2, status: 'done', finished_at: old }));
+  assert.equal(await claimCallbackJob(), null);
+  assert.deepEqual(jobs().map((stored) => stored.id), [2]);
+});
+
+test('drainCallbackJobs processes the claimable jobs until there are none left', async () => {
+  processed.length = 0;
+  const { drainCallbackJobs, jobs } = callbackJobs([
+    job('on_test_hooks', { id: 1, hook: 'first', status: 'queued', run_at: new Date() }),
+    job('on_test_hooks', { id: 2, hook: 'first', status: 'queued', run_at: new Date() }),
+  ]);
+
+  assert.equal(await drainCallbackJobs(1000), 2);
+  assert.deepEqual(processed, [['first', 'msg-1'], ['first', 'msg-1']]);
+  assert.deepEqual(jobs().map((stored) => stored.status), ['done', 'done']);
+  assert.equal(await drainCallbackJobs(1000), 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, selectedProfileName, PROFILE_NAMES } = require('../config');
+
+// Subscriber details that pass the profile schema, as a deployment sets them
+const SUBSCRIBER_ENV = {
+  SUBSCRIBER_ID: 'bap.example.com',
+  SUBSCRIBER_URL: 'https://bap.example.com/bapl',
+  CALLBACK_URL: '/ondc/onboarding',
+  UNIQUE_KEY_ID: 'key-1',
+  REQUEST_ID: 'req-1',
+  DOMAIN: 'ONDC:TRV14',
+  CITY_CODE: 'std:080',
+  EMAIL_ID: 'ops@example.com',
+  MOBILE_NO: '9999999999',
+  PAN_NO: 'ABCDE1234F',
+  PAN_NAME: 'Example',
+  PAN_DATE_OF_INCORPORATION: '01/01/2020',
+  NAME_OF_AUTHORISED_SIGNATORY: 'Example',
+  ADDRESS_OF_AUTHORISED_SIGNATORY: 'Bengaluru',
+  LEGAL_ENTITY_NAME: 'Example Pvt Ltd',
+  BUSINESS_ADDRESS: 'Bengaluru',
+  GST_NO: '27ABCDE1234F1Z5',
+  DATABASE_URL: 'postgres://localhost/ondc',
+};
+
+// Every variable loadConfig reads, cleared before each test so the machine's environment can't leak in
+const CONFIG_ENV_VARS = [
+  ...Object.keys(SUBSCRIBER_ENV), 'ONDC_ENV', 'COUNTRY',
+  'ONDC_SUBSCRIBE_URL', 'ONDC_LOOKUP_URL', 'ONDC_GATEWAY_URL', 'ONDC_PUBLIC_KEY',
+];
+
+// Helper function to run fn with exactly the given config variables set, restoring the environment afterwards
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(CONFIG_ENV_VARS.map((name) => [name, process.env[name]]));
+  for (const name of CONFIG_ENV_VARS) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, vars);
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+test('selectedProfileName reads --env, --env= and ONDC_ENV, defaulting to preprod', () => {
+  assert.equal(selectedProfileName(['node', 'server.js', '--env', 'prod'], {}), 'prod');
+  assert.equal(selectedProfileName(['node', 'server.js', '--env=staging'], { ONDC_ENV: 'prod' }), 'staging');
+  assert.equal(selectedProfileName(['node', 'server.js'], { ONDC_ENV: 'prod' }), 'prod');
+  assert.equal(selectedProfileName(['node', 'server.js'], {}), 'preprod');
+});
+
+test('loadConfig combines the profile with the environment', () => {
+  const { name, config, overrides, errors } = withEnv(SUBSCRIBER_ENV, () => loadConfig('prod'));
+  assert.equal(name, 'prod');
+  assert.deepEqual(errors, []);
+  assert.equal(config.subscriber.subscriber_id, 'bap.example.com');
+  assert.equal(config.subscriber.country, 'IND');
+  assert.match(config.registry.lookup_url, /^https:\/\/prod\.registry\.ondc\.org\//);
+  assert.ok(overrides.includes('SUBSCRIBER_ID'));
+  assert.ok(!overrides.includes('ONDC_LOOKUP_URL'));
+});
+
+test('loadConfig lets an environment variable override a profile field', () => {
+  const lookupUrl = 'https://registry.example.com/v2.0/lookup';
+  const { config, overrides } = withEnv({ ...SUBSCRIBER_ENV, ONDC_LOOKUP_URL: lookupUrl }, () => loadConfig('staging'));
+  assert.equal(config.registry.lookup_url, lookupUrl);
+  assert.ok(overrides.includes('ONDC_LOOKUP_URL'));
+});
+
+test('loadConfig names the profile field and the variable to set for each missing or invalid field', () => {
+  const { SUBSCRIBER_ID, DATABASE_URL, ...env } = SUBSCRIBER_ENV;
+  const { errors } = withEnv({ ...env, CALLBACK_URL: 'https://bap.example.com/onboarding' }, () => loadConfig('preprod'));
+  assert.deepEqual(errors, [
+    'subscriber.subscriber_id: missing, set it under "preprod" in config/environments.json or with SUBSCRIBER_ID',
+    'subscriber.callback_url: must be a relative URL starting with /, got "https://bap.example.com/onboarding" (set it under "preprod" in config/environments.json or with CALLBACK_URL)',
+    'DATABASE_URL: missing environment variable',
+  ]);
+});
+
+test('loadConfig leaves a missing unique_key_id to the key provider, which can read it from the keystore', () => {
+  const { UNIQUE_KEY_ID, ...env } = SUBSCRIBER_ENV;
+  const { config, errors } = withEnv(env, () => loadConfig('preprod'));
+  assert.deepEqual(errors, []);
+  assert.equal(config.subscriber.unique_key_id, undefined);
+});
+
+test('loadConfig rejects an unknown profile', () => {
+  const { config, errors } = withEnv(SUBSCRIBER_ENV, () => loadConfig('dev'));
+  assert.equal(config, null);
+  assert.deepEqual(errors, [`ONDC_ENV: unknown environment profile "dev", expected one of ${PROFILE_NAMES.join(', ')}`]);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createDelivery } = require('../delivery');
+const { fakeDatabase } = require('./helpers');
+
+// Helper function to start a local BPP that answers each request with the next of a list of [status, body] replies
+// (the last reply repeats) and records what it received
+async function startBpp(replies) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ path: req.url, authorization: req.headers.authorization, body });
+      const [status, reply] = replies[Math.min(received.length - 1, replies.length - 1)];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/select`, received, close: () => server.close() };
+}
+
+// Helper function to create a delivery over an in-memory dead_letters table
+function delivery(deadLetters = []) {
+  const db = fakeDatabase({ dead_letters: deadLetters });
+  const signed = [];
+  const { deliverMessage, parkDeadLetter } = createDelivery({
+    dbQuery: db.dbQuery,
+    sign: async (body) => {
+      signed.push(body);
+      return `Signature signature="${signed.length}"`;
+    },
+    retryBaseMs: 10,
+    timeoutMs: 1000,
+  });
+  return { deliverMessage, parkDeadLetter, deadLetters: () => db.rows('dead_letters'), failQueries: db.failQueries, signed };
+}
+
+function selectPayload(ttl = 'PT5S') {
+  return {
+    context: { action: 'select', transaction_id: 'txn-1', message_id: 'msg-1', timestamp: new Date().toISOString(), ttl },
+    message: { order: {} },
+  };
+}
+
+const ACK = { message: { ack: { status: 'ACK' } } };
+
+test('deliverMessage retries a 503 and signs every attempt again', async (t) => {
+  const bpp = await startBpp([[503, { error: 'busy' }], [200, ACK]]);
+  t.after(bpp.close);
+  const { deliverMessage, deadLetters, signed } = delivery();
+  const payload = selectPayload();
+
+  const response = await deliverMessage(bpp.url, payload);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data, ACK);
+  assert.deepEqual(bpp.received.map((r) => r.authorization), ['Signature signature="1"', 'Signature signature="2"']);
+  assert.deepEqual(signed, [JSON.stringify(payload), JSON.stringify(payload)]);
+  assert.equal(bpp.received[1].body, JSON.stringify(payload));
+  assert.deepEqual(deadLetters(), []);
+});
+
+test('deliverMessage parks a message that keeps failing until its ttl runs out', async (t) => {
+  const bpp = await startBpp([[503, { error: 'busy' }]]);
+  t.after(bpp.close);
+  const { deliverMessage, deadLetters } = delivery();
+  const payload = selectPayload('PT1S');
+
+  const error = await deliverMessage(bpp.url, payload).then(() => assert.fail('expected a failure'), (e) => e);
+  assert.equal(error.response.status, 503);
+  assert.ok(bpp.received.length > 1);
+
+  assert.deepEqual(deadLetters(), [{
+    id: error.deadLetterId,
+    action: 'select',
+    url: bpp.url,
+    transaction_id: 'txn-1',
+    message_id: 'msg-1',
+    payload,
+    status: 'pending',
+    attempts: bpp.received.length,
+    last_status: 503,
+    last_error: { error: 'busy' },
+  }]);
+});
+
+test('deliverMessage does not retry a 400', async (t) => {
+  const bpp = await startBpp([[400, { error: 'bad request' }]]);
+  t.after(bpp.close);
+  const { deliverMessage, deadLetters } = delivery();
+
+  const error = await deliverMessage(bpp.url, selectPayload()).then(() => assert.fail('expected a failure'), (e) => e);
+  assert.equal(error.response.status, 400);
+  assert.equal(bpp.received.length, 1);
+  assert.equal(deadLetters()[0].attempts, 1);
+  assert.equal(deadLetters()[0].last_status, 400);
+});
+
+test('deliverMessage marks a replayed dead letter delivered, or updates it when it fails again', async (t) => {
+  const bpp = await startBpp([[200, ACK], [400, { error: 'bad request' }]]);
+  t.after(bpp.close);
+  const parked = { id: 3, action: 'select', url: bpp.url, payload: selectPayload(), status: 'pending', attempts: 4, last_status: 503 };
+  const { deliverMessage, deadLetters } = delivery([parked, { ...parked, id: 4 }]);
+
+  await deliverMessage(bpp.url, selectPayload(), { deadLetterId: 3 });
+  assert.equal(deadLetters()[0].status, 'delivered');
+  assert.equal(deadLetters()[0].attempts, 5);
+
+  const payload = selectPayload();
+  const error = await deliverMessage(bpp.url, payload, { deadLetterId: 4 }).then(() => assert.fail('expected a failure'), (e) => e);
+  assert.equal(error.deadLetterId, 4);
+  assert.equal(deadLetters().length, 2);
+  assert.deepEqual(deadLetters()[1], { ...parked, id: 4, payload, attempts: 5, last_status: 400, last_error: { error: 'bad request' } });
+});
+
+test('parkDeadLetter returns undefined when the dead letter cannot be stored', async () => {
+  const { parkDeadLetter, failQueries } = delivery();
+  failQueries();
+  assert.equal(await parkDeadLetter('http://bpp.example.com/select', selectPayload(), 1, new Error('timeout')), undefined);
+});
@@ -0,0 +1,193 @@
+// Test helpers shared by the module tests
+// fakeDatabase keeps the tables a module works on in memory, so tests seed rows and check the rows a call leaves
+// behind instead of the SQL it ran; the statements the modules run are emulated here and nowhere else
+
+// Statements the modules run, recognized by their leading clause, and what each does to the tables
+// A statement that isn't listed fails the test, so a changed query shows up here rather than passing unnoticed
+const STATEMENTS = [
+  // delivery.js: parking an undeliverable message, and the outcome of replaying one
+  [
+    /^INSERT INTO dead_letters/,
+    (db, [action, url, transaction_id, message_id, payload, attempts, last_status, last_error]) => db.insert('dead_letters', {
+      action, url, transaction_id, message_id, payload: JSON.parse(payload), status: 'pending', attempts, last_status, last_error: JSON.parse(last_error),
+    }),
+  ],
+  [
+    /^UPDATE dead_letters SET status = 'delivered', attempts = attempts \+ \$2/,
+    (db, [id, attempts]) => db.update('dead_letters', (row) => row.id === id, (row) => ({
+      status: 'delivered', attempts: row.attempts + attempts, delivered_at: new Date(),
+    })),
+  ],
+  [
+    /^UPDATE dead_letters SET payload = \$2, attempts = attempts \+ \$3, last_status = \$4, last_error = \$5/,
+    (db, [id, payload, attempts, last_status, last_error]) => db.update('dead_letters', (row) => row.id === id, (row) => ({
+      payload: JSON.parse(payload), attempts: row.attempts + attempts, last_status, last_error: JSON.parse(last_error),
+    })),
+  ],
+  // callback-jobs.js: queueing, claiming and finishing callback jobs
+  [
+    /^INSERT INTO callback_jobs \(action, hook, transaction_id, message_id, payload\)/,
+    (db, [action, hook, transaction_id, message_id, payload]) => db.insert('callback_jobs', {
+      action, hook, transaction_id, message_id, payload, status: 'queued', attempts: 0, run_at: new Date(),
+    }),
+  ],
+  [
+    /^SELECT pg_notify\('callback_jobs', \$1\)/,
+    (db, [payload]) => {
+      db.notifications.push(payload);
+      return { rows: [], rowCount: 1 };
+    },
+  ],
+  [
+    /^DELETE FROM callback_jobs WHERE status = 'done' AND finished_at < \$1/,
+    (db, [before]) => {
+      const jobs = db.rows('callback_jobs');
+      const kept = jobs.filter((job) => !(job.status === 'done' && job.finished_at < before));
+      const rowCount = jobs.length - kept.length;
+      jobs.splice(0, jobs.length, ...kept);
+      return { rows: [], rowCount };
+    },
+  ],
+  [
+    // The oldest job that can run now and isn't waiting on an earlier job of its transaction (on_search excepted)
+    /^UPDATE callback_jobs SET status = 'running', attempts = attempts \+ 1, locked_at = now\(\)/,
+    (db, [lockedBefore]) => {
+      const jobs = db.rows('callback_jobs');
+      const claimable = jobs.find((job) =>
+        ((job.status === 'queued' && job.run_at <= new Date()) || (job.status === 'running' && job.locked_at < lockedBefore))
+        && (job.action === 'on_search' || !jobs.some((earlier) =>
+          earlier.transaction_id === job.transaction_id && earlier.id < job.id && ['queued', 'running'].includes(earlier.status))));
+      return db.update('callback_jobs', (job) => job === claimable, (job) => ({
+        status: 'running', attempts: job.attempts + 1, locked_at: new Date(),
+      }));
+    },
+  ],
+  [
+    /^UPDATE callback_jobs SET status = 'done', finished_at = now\(\) WHERE id = \$1/,
+    (db, [id]) => db.update('callback_jobs', (job) => job.id === id, () => ({ status: 'done', finished_at: new Date() })),
+  ],
+  [
+    /^UPDATE callback_jobs SET status = 'failed', last_error = \$2, finished_at = now\(\) WHERE id = \$1/,
+    (db, [id, last_error]) => db.update('callback_jobs', (job) => job.id === id, () => ({ status: 'failed', last_error, finished_at: new Date() })),
+  ],
+  [
+    /^UPDATE callback_jobs SET status = 'queued', last_error = \$2, run_at = \$3 WHERE id = \$1/,
+    (db, [id, last_error, run_at]) => db.update('callback_jobs', (job) => job.id === id, () => ({ status: 'queued', last_error, run_at })),
+  ],
+  // lifecycle.js: moving the lifecycle of a transaction when it is still in the state the event was checked against
+  [
+    /^INSERT INTO transactions \(transaction_id, state\) VALUES \(\$1, \$2\)\s+ON CONFLICT \(transaction_id\) DO UPDATE SET\s+state = transactions\.state \|\| jsonb_build_object\(/,
+    (db, [transaction_id, state, to, history, expected]) => {
+      if (!db.rows('transactions').some((row) => row.transaction_id === transaction_id)) {
+        db.rows('transactions').push({ transaction_id, state });
+        return { rows: [], rowCount: 1 };
+      }
+      return moveLifecycle(db, transaction_id, (from) => (from ?? null) === expected, to, history);
+    },
+  ],
+  [
+    /^UPDATE transactions SET\s+state = state \|\| jsonb_build_object\(/,
+    (db, [transaction_id, to, history, expected]) => moveLifecycle(db, transaction_id, (from) => from === expected, to, history),
+  ],
+  // callback-checks.js: the outbound request a callback answers, or the confirm of an unsolicited callback
+  [
+    /^SELECT payload FROM messages\s+WHERE direction = 'outbound' AND transaction_id = \$1 AND message_id = \$2 AND action = \$3/,
+    (db, [transactionId, messageId, action]) => latest(db.rows('messages').filter((row) =>
+      row.direction === 'outbound' && row.transaction_id === transactionId && row.message_id === messageId && row.action === action)),
+  ],
+  [
+    /^SELECT payload FROM messages\s+WHERE direction = 'outbound' AND transaction_id = \$1 AND action = 'confirm'/,
+    (db, [transactionId]) => latest(db.rows('messages').filter((row) =>
+      row.direction === 'outbound' && row.transaction_id === transactionId && row.action === 'confirm')),
+  ],
+  // auth.js: looking up a stored API key, and counting client requests per one-minute window
+  [
+    /^SELECT id, role, rate_limit_per_minute FROM api_keys WHERE key_hash = \$1 AND revoked_at IS NULL/,
+    (db, [keyHash]) => {
+      const rows = db.rows('api_keys').filter((row) => row.key_hash === keyHash && !row.revoked_at)
+        .map(({ id, role, rate_limit_per_minute }) => ({ id, role, rate_limit_per_minute }));
+      return { rows, rowCount: rows.length };
+    },
+  ],
+  [
+    /^DELETE FROM rate_limits WHERE window_start < \$1/,
+    (db, [before]) => {
+      const windows = db.rows('rate_limits');
+      const kept = windows.filter((window) => window.window_start >= before);
+      const rowCount = windows.length - kept.length;
+      windows.splice(0, windows.length, ...kept);
+      return { rows: [], rowCount };
+    },
+  ],
+  [
+    /^INSERT INTO rate_limits \(subject, window_start, requests\) VALUES \(\$1, \$2, 1\)\s+ON CONFLICT \(subject, window_start\) DO UPDATE SET requests = rate_limits\.requests \+ 1/,
+    (db, [subject, window_start]) => {
+      const counted = db.update('rate_limits', (window) => window.subject === subject && window.window_start.getTime() === window_start.getTime(),
+        (window) => ({ requests: window.requests + 1 }));
+      if (!counted.rowCount) {
+        db.rows('rate_limits').push({ subject, window_start, requests: 1 });
+        return { rows: [{ requests: 1 }], rowCount: 1 };
+      }
+      return { rows: counted.rows.map(({ requests }) => ({ requests })), rowCount: 1 };
+    },
+  ],
+];
+
+// Helper function to set the lifecycle state of a stored transaction and append to its history, when its state matches
+function moveLifecycle(db, transactionId, matches, to, history) {
+  const { rowCount } = db.update('transactions', (row) => row.transaction_id === transactionId && matches(row.state.lifecycle_state), (row) => ({
+    state: { ...row.state, lifecycle_state: to, lifecycle_history: [...(row.state.lifecycle_history || []), ...JSON.parse(history)] },
+  }));
+  return { rows: [], rowCount };
+}
+
+// Helper function to answer ORDER BY id DESC LIMIT 1 over the matching rows
+function latest(rows) {
+  return { rows: rows.slice(-1).map(({ payload }) => ({ payload })), rowCount: Math.min(rows.length, 1) };
+}
+
+// Create an in-memory database seeded with { table: [rows] }
+// Returns { dbQuery, rows(table), notifications, failQueries(fail) }; rows get an id when they don't bring one, like
+// BIGSERIAL, and notifications lists the payloads sent with pg_notify
+function fakeDatabase(tables = {}, { beforeQuery = async () => {} } = {}) {
+  const data = Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.map((row) => ({ ...row }))]));
+  let failing = false;
+
+  const db = {
+    notifications: [],
+    rows(table) {
+      data[table] = data[table] || [];
+      return data[table];
+    },
+    insert(table, row) {
+      const rows = db.rows(table);
+      const stored = { id: rows.reduce((max, existing) => Math.max(max, existing.id || 0), 0) + 1, ...row };
+      rows.push(stored);
+      return { rows: [{ id: stored.id }], rowCount: 1 };
+    },
+    update(table, match, change) {
+      const rows = db.rows(table).filter(match);
+      for (const row of rows) {
+        Object.assign(row, change(row));
+      }
+      return { rows: rows.map((row) => ({ ...row })), rowCount: rows.length };
+    },
+    failQueries(fail = true) {
+      failing = fail;
+    },
+    async dbQuery(text, params = []) {
+      await beforeQuery(text, params);
+      if (failing) {
+        throw new Error('connection refused');
+      }
+      const statement = STATEMENTS.find(([pattern]) => pattern.test(text.trim()));
+      if (!statement) {
+        throw new Error(`fakeDatabase: unsupported statement ${text.trim().split('\n')[0]}`);
+      }
+      return statement[1](db, params);
+    },
+  };
+  return db;
+}
+
+module.exports = { fakeDatabase };
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { generateKeySet, loadKeySets, deriveSigningPublicKey, deriveEncryptionPublicKey } = require('../keys');
+
+// Helper function to turn a key set into the environment variables it is configured with
+function keySetEnv(keySet, prefix = '') {
+  return {
+    [`${prefix}UNIQUE_KEY_ID`]: keySet.unique_key_id,
+    [`${prefix}SIGNING_PRIVATE_KEY`]: keySet.signing_private_key,
+    [`${prefix}ENCRYPTION_PRIVATE_KEY`]: keySet.encryption_private_key,
+  };
+}
+
+// Helper function to parse the NAME=value lines of a dotenv file
+function readEnvFile(file) {
+  return Object.fromEntries(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line) => [line.slice(0, line.indexOf('=')), line.slice(line.indexOf('=') + 1)]));
+}
+
+test('generateKeySet creates key pairs whose public keys derive from the private keys', () => {
+  const keySet = generateKeySet();
+  assert.match(keySet.unique_key_id, /^[0-9a-f-]{36}$/);
+  assert.equal(deriveSigningPublicKey(keySet.signing_private_key), keySet.signing_public_key);
+  assert.equal(deriveEncryptionPublicKey(keySet.encryption_private_key), keySet.encryption_public_key);
+  assert.notEqual(generateKeySet().signing_private_key, keySet.signing_private_key);
+
+  // The signing key signs the way ONDC verifies: Ed25519 with the derived public key
+  const x = Buffer.from(keySet.signing_public_key, 'base64').toString('base64url');
+  const d = Buffer.from(keySet.signing_private_key, 'base64').subarray(0, 32).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from('signing string'), crypto.createPrivateKey({ key: { kty: 'OKP', crv: 'Ed25519', d, x }, format: 'jwk' }));
+  assert.ok(crypto.verify(null, Buffer.from('signing string'), crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x }, format: 'jwk' }), signature));
+});
+
+test('deriveSigningPublicKey accepts a bare seed and rejects corrupt keys', () => {
+  const keySet = generateKeySet();
+  const raw = Buffer.from(keySet.signing_private_key, 'base64');
+  assert.equal(deriveSigningPublicKey(raw.subarray(0, 32).toString('base64')), keySet.signing_public_key);
+  assert.throws(() => deriveSigningPublicKey(raw.subarray(0, 20).toString('base64')), /must be 32 or 64 bytes/);
+  const otherPublicKey = Buffer.from(generateKeySet().signing_public_key, 'base64');
+  assert.throws(() => deriveSigningPublicKey(Buffer.concat([raw.subarray(0, 32), otherPublicKey]).toString('base64')), /embedded public key/);
+  assert.throws(() => deriveEncryptionPublicKey(crypto.generateKeyPairSync('ed25519').privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')), /must be an X25519 key/);
+});
+
+test('loadKeySets derives the public keys and rejects a public key that does not match', () => {
+  const keySet = generateKeySet();
+  const { current, previous, errors } = loadKeySets({ env: keySetEnv(keySet) });
+  assert.deepEqual(errors, []);
+  assert.equal(previous, null);
+  assert.equal(current.signing_public_key, keySet.signing_public_key);
+  assert.equal(current.encryption_public_key, keySet.encryption_public_key);
+
+  const { errors: mismatch } = loadKeySets({ env: { ...keySetEnv(keySet), SIGNING_PUBLIC_KEY: generateKeySet().signing_public_key } });
+  assert.match(mismatch[0], /^SIGNING_PUBLIC_KEY: does not match the public key of SIGNING_PRIVATE_KEY/);
+  assert.deepEqual(loadKeySets({ env: {} }).errors, ['SIGNING_PRIVATE_KEY: missing environment variable', 'ENCRYPTION_PRIVATE_KEY: missing environment variable']);
+});
+
+test('loadKeySets keeps the previous key set of a rotation until its overlap ends', () => {
+  const current = generateKeySet();
+  const old = generateKeySet();
+  const env = { ...keySetEnv(current), ...keySetEnv(old, 'PREVIOUS_') };
+  const validUntil = new Date(Date.now() + 3600000).toISOString();
+
+  const rotating = loadKeySets({ env: { ...env, PREVIOUS_KEY_VALID_UNTIL: validUntil } });
+  assert.deepEqual(rotating.errors, []);
+  assert.equal(rotating.previous.unique_key_id, old.unique_key_id);
+  assert.equal(rotating.previous.valid_until, validUntil);
+
+  const ended = loadKeySets({ env: { ...env, PREVIOUS_KEY_VALID_UNTIL: new Date(Date.now() - 1000).toISOString() } });
+  assert.deepEqual(ended.errors, []);
+  assert.equal(ended.previous, null);
+
+  assert.deepEqual(loadKeySets({ env }).errors, ['PREVIOUS_KEY_VALID_UNTIL: must be an ISO 8601 timestamp, got undefined']);
+  const reused = { ...env, PREVIOUS_UNIQUE_KEY_ID: current.unique_key_id, PREVIOUS_KEY_VALID_UNTIL: validUntil };
+  assert.match(loadKeySets({ env: reused }).errors[0], /^PREVIOUS_UNIQUE_KEY_ID: must differ from UNIQUE_KEY_ID/);
+});
+
+test('keys.js rotate writes a new key set and keeps the old one as the previous one for the overlap', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const envFile = path.join(dir, 'bap.env');
+  fs.writeFileSync(envFile, 'PORT=3000\n');
+  const old = generateKeySet();
+
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'keys.js'), 'rotate', '--env-file', envFile, '--overlap-days', '2'], {
+    cwd: dir,
+    env: { PATH: process.env.PATH, ...keySetEnv(old) },
+    stdio: 'pipe',
+  });
+
+  const env = readEnvFile(envFile);
+  assert.equal(env.PORT, '3000');
+  const { current, previous, errors } = loadKeySets({ env });
+  assert.deepEqual(errors, []);
+  assert.notEqual(current.unique_key_id, old.unique_key_id);
+  assert.notEqual(current.signing_private_key, old.signing_private_key);
+  assert.equal(previous.unique_key_id, old.unique_key_id);
+  assert.equal(previous.signing_private_key, old.signing_private_key);
+  const overlapMs = Date.parse(previous.valid_until) - Date.now();
+  assert.ok(overlapMs > 2 * 86400000 - 60000 && overlapMs <= 2 * 86400000);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openKeystore, readKeystore, writeKeystore } = require('../keystore');
+const { generateKeySet } = require('../keys');
+const { loadKeyProvider } = require('../key-provider');
+const profiles = require('../config/environments.json');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+// Helper function to create a temporary keystore file path, removed after the test
+function tempKeystore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'keystore.json');
+}
+
+// Helper function to build keystore contents holding a fresh key set
+function keystoreContents() {
+  const { unique_key_id, signing_private_key, encryption_private_key } = generateKeySet();
+  return { current: { unique_key_id, signing_private_key, encryption_private_key }, previous: null };
+}
+
+test('writeKeystore seals the keys so only the passphrase opens them', (t) => {
+  const file = tempKeystore(t);
+  const contents = keystoreContents();
+  writeKeystore(file, contents, PASSPHRASE);
+
+  const written = fs.readFileSync(file, 'utf8');
+  assert.ok(!written.includes(contents.current.signing_private_key));
+  assert.ok(!written.includes(contents.current.encryption_private_key));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(readKeystore(file, PASSPHRASE), contents);
+});
+
+test('openKeystore rejects a wrong passphrase, a missing one and a tampered file', (t) => {
+  const file = tempKeystore(t);
+  writeKeystore(file, keystoreContents(), PASSPHRASE);
+  const sealed = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  assert.throws(() => openKeystore(sealed, 'wrong horse battery staple'), /wrong KEYSTORE_PASSPHRASE or corrupted keystore/);
+  assert.throws(() => openKeystore(sealed, undefined), /KEYSTORE_PASSPHRASE is not set/);
+  const ciphertext = Buffer.from(sealed.ciphertext, 'base64');
+  ciphertext[0] ^= 1;
+  assert.throws(() => openKeystore({ ...sealed, ciphertext: ciphertext.toString('base64') }, PASSPHRASE), /wrong KEYSTORE_PASSPHRASE or corrupted keystore/);
+  assert.throws(() => openKeystore({ ...sealed, version: 2 }, PASSPHRASE), /unsupported keystore format/);
+});
+
+test('writeKeystore refuses a short passphrase and leaves the old keystore in place', (t) => {
+  const file = tempKeystore(t);
+  const contents = keystoreContents();
+  writeKeystore(file, contents, PASSPHRASE);
+
+  assert.throws(() => writeKeystore(file, keystoreContents(), 'short'), /KEYSTORE_PASSPHRASE must be at least 12 characters/);
+  assert.deepEqual(readKeystore(file, PASSPHRASE), contents);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['keystore.json']);
+});
+
+test('loadKeyProvider unlocks the keystore from KEYSTORE and removes the passphrase from the environment', (t) => {
+  const file = tempKeystore(t);
+  const contents = keystoreContents();
+  writeKeystore(file, contents, PASSPHRASE);
+  const ondcPublicKey = profiles.preprod.ondc_public_key;
+
+  const env = { KEYSTORE_PASSPHRASE: PASSPHRASE, KEYSTORE: fs.readFileSync(file, 'utf8') };
+  const loaded = loadKeyProvider({ subscriberId: 'bap.example.com', ondcPublicKey, env });
+  assert.deepEqual(loaded.errors, []);
+  assert.equal(loaded.source, 'KEYSTORE');
+  assert.equal(loaded.current.unique_key_id, contents.current.unique_key_id);
+  assert.equal(loaded.current.signing_private_key, undefined);
+  assert.deepEqual(env, {});
+
+  const wrong = { KEYSTORE_PASSPHRASE: 'wrong horse battery staple', KEYSTORE_PATH: file };
+  const rejected = loadKeyProvider({ subscriberId: 'bap.example.com', ondcPublicKey, env: wrong });
+  assert.equal(rejected.current, null);
+  assert.deepEqual(rejected.errors, [`${file}: wrong KEYSTORE_PASSPHRASE or corrupted keystore`]);
+  assert.deepEqual(wrong, { KEYSTORE_PATH: file });
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lifecycleState, lifecycleTransition, createLifecycle } = require('../lifecycle');
+const { fakeDatabase } = require('./helpers');
+
+// Helper function to build a stored transaction in a lifecycle state
+function inState(lifecycle_state) {
+  return { transaction_id: 'txn-1', lifecycle_state };
+}
+
+test('lifecycleTransition follows an order from search to completion', () => {
+  let transaction;
+  const steps = [
+    ['search', 'searched'],
+    ['on_search', 'searched'],
+    ['select', 'selected'],
+    ['on_select', 'quoted'],
+    ['init', 'initialized'],
+    ['on_init', 'initialized'],
+    ['confirm', 'confirming'],
+    ['on_confirm', 'confirmed'],
+    ['on_status', 'in-progress', 'In-progress'],
+    ['update', 'in-progress'],
+    ['on_update', 'in-progress', 'ACTIVE'],
+    ['on_status', 'completed', 'COMPLETED'],
+  ];
+  for (const [event, state, orderStatus] of steps) {
+    const transition = lifecycleTransition(transaction, event, orderStatus);
+    assert.equal(transition.error, undefined, `${event} from ${transition.from}`);
+    assert.equal(transition.to, state, event);
+    transaction = inState(transition.to);
+  }
+});
+
+test('lifecycleTransition rejects events the state does not allow', () => {
+  assert.deepEqual(lifecycleTransition(undefined, 'init'), {
+    from: undefined,
+    error: 'Cannot init a transaction that is not started, init is allowed when it is quoted, initialized',
+  });
+  assert.equal(
+    lifecycleTransition(inState('confirmed'), 'select').error,
+    'Cannot select a transaction that is confirmed, select is allowed when it is searched, selected, quoted, initialized'
+  );
+  assert.match(lifecycleTransition(inState('searched'), 'search').error, /^Cannot search a transaction that is searched/);
+  assert.match(lifecycleTransition(inState('quoted'), 'on_status', 'COMPLETED').error, /^Cannot on_status a transaction that is quoted/);
+});
+
+test('lifecycleTransition keeps a confirming transaction from being changed until on_confirm', () => {
+  assert.match(lifecycleTransition(inState('confirming'), 'init').error, /^Cannot init a transaction that is confirming/);
+  assert.match(lifecycleTransition(inState('confirming'), 'select').error, /^Cannot select a transaction that is confirming/);
+  assert.deepEqual(lifecycleTransition(inState('confirming'), 'confirm'), { from: 'confirming', to: 'confirming' });
+  assert.deepEqual(lifecycleTransition(inState('confirming'), 'on_confirm'), { from: 'confirming', to: 'confirmed' });
+  // confirm moves the transaction before it is sent, so on_confirm never finds it initialized; a BPP may send it twice
+  assert.match(lifecycleTransition(inState('initialized'), 'on_confirm').error, /^Cannot on_confirm a transaction that is initialized/);
+  assert.deepEqual(lifecycleTransition(inState('confirmed'), 'on_confirm'), { from: 'confirmed', to: 'confirmed' });
+});
+
+test('lifecycleTransition never moves a completed or cancelled transaction', () => {
+  assert.equal(
+    lifecycleTransition(inState('completed'), 'on_cancel', 'CANCELLED').error,
+    'Transaction is already completed, on_cancel cannot move it to cancelled'
+  );
+  assert.equal(
+    lifecycleTransition(inState('cancelled'), 'on_status', 'IN-PROGRESS').error,
+    'Transaction is already cancelled, on_status cannot move it to in-progress'
+  );
+  assert.deepEqual(lifecycleTransition(inState('completed'), 'on_status', 'COMPLETED'), { from: 'completed', to: 'completed' });
+  assert.match(lifecycleTransition(inState('cancelled'), 'cancel').error, /^Cannot cancel a transaction that is cancelled/);
+});
+
+test('lifecycleTransition lets events outside the lifecycle through', () => {
+  assert.deepEqual(lifecycleTransition(inState('quoted'), 'on_track'), { from: 'quoted', to: 'quoted' });
+});
+
+test('lifecycleState infers the state of transactions stored before the lifecycle was tracked', () => {
+  assert.equal(lifecycleState(undefined), undefined);
+  assert.equal(lifecycleState({ transaction_id: 'txn-1' }), undefined);
+  assert.equal(lifecycleState({ search_message_id: 's' }), 'searched');
+  assert.equal(lifecycleState({ search_message_id: 's', select_message_id: 's' }), 'selected');
+  assert.equal(lifecycleState({ select_message_id: 's', payment_id: 'p' }), 'initialized');
+  assert.equal(lifecycleState({ payment_id: 'p', confirm_message_id: 'c' }), 'confirming');
+  assert.equal(lifecycleState({ confirm_message_id: 'c', order_id: 'O1' }), 'confirmed');
+  assert.equal(lifecycleState({ order_id: 'O1', lifecycle_state: 'completed' }), 'completed');
+});
+
+// Helper function to create the lifecycle over an in-memory transactions table holding the given transactions
+// beforeQuery runs before every query, e.g. to change the transaction behind advanceLifecycle's back between its read
+// and its conditional update, as another instance would
+function lifecycleStore(transactions = [], { beforeQuery } = {}) {
+  const db = fakeDatabase({ transactions: transactions.map((state) => ({ transaction_id: state.transaction_id, state })) }, { beforeQuery });
+  const stored = (transactionId = 'txn-1') => db.rows('transactions').find((row) => row.transaction_id === transactionId)?.state;
+  const lifecycle = createLifecycle({ dbQuery: db.dbQuery, findTransaction: async (transactionId) => stored(transactionId) });
+  return { ...lifecycle, stored, failQueries: db.failQueries };
+}
+
+// Helper function to list the stored history of a transaction as [event, from, to]
+function history(transaction) {
+  return (transaction.lifecycle_history || []).map((entry) => [entry.event, entry.from, entry.to]);
+}
+
+test('advanceLifecycle stores a new transaction and moves it on, appending to the history', async () => {
+  const store = lifecycleStore();
+  assert.deepEqual(await store.advanceLifecycle('txn-1', 'search'), { from: undefined, to: 'searched' });
+  assert.deepEqual(await store.advanceLifecycle('txn-1', 'select'), { from: 'searched', to: 'selected' });
+  assert.equal(store.stored().lifecycle_state, 'selected');
+  assert.deepEqual(history(store.stored()), [['search', null, 'searched'], ['select', 'searched', 'selected']]);
+  assert.ok(store.stored().lifecycle_history.every((entry) => !Number.isNaN(Date.parse(entry.at))));
+});
+
+test('advanceLifecycle leaves the stored transaction alone when the state does not change or the event is rejected', async () => {
+  const store = lifecycleStore([inState('quoted')]);
+  assert.deepEqual(await store.advanceLifecycle('txn-1', 'on_search'), { from: 'quoted', to: 'quoted' });
+  assert.match((await store.advanceLifecycle('txn-1', 'on_init')).error, /^Cannot on_init a transaction that is quoted/);
+  assert.deepEqual(store.stored(), inState('quoted'));
+});
+
+test('advanceLifecycle checks the event again when another instance moved the state first', async () => {
+  let raced = false;
+  const store = lifecycleStore([inState('confirmed')], {
+    beforeQuery: async () => {
+      if (!raced) {
+        raced = true;
+        // Another instance applies an on_status COMPLETED between our read and our update
+        await store.advanceLifecycle('txn-1', 'on_status', 'COMPLETED');
+      }
+    },
+  });
+
+  const transition = await store.advanceLifecycle('txn-1', 'on_cancel', 'CANCELLED');
+  assert.equal(transition.error, 'Transaction is already completed, on_cancel cannot move it to cancelled');
+  assert.equal(store.stored().lifecycle_state, 'completed');
+  assert.deepEqual(history(store.stored()), [['on_status', 'confirmed', 'completed']]);
+});
+
+test('advanceLifecycle returns the transition when the update fails', async () => {
+  const store = lifecycleStore([inState('quoted')]);
+  store.failQueries();
+  assert.deepEqual(await store.advanceLifecycle('txn-1', 'init'), { from: 'quoted', to: 'initialized' });
+  assert.equal(store.stored().lifecycle_state, 'quoted');
+});
+
+test('revertLifecycle moves a request that was not accepted back, unless a callback moved it on', async () => {
+  const store = lifecycleStore([inState('searched'), { ...inState('searched'), transaction_id: 'txn-2' }]);
+  const select = await store.advanceLifecycle('txn-1', 'select');
+  await store.revertLifecycle('txn-1', 'select', select);
+  assert.equal(store.stored().lifecycle_state, 'searched');
+  assert.deepEqual(history(store.stored()), [['select', 'searched', 'selected'], ['select_not_accepted', 'selected', 'searched']]);
+
+  // The on_select overtook the select response
+  const raced = await store.advanceLifecycle('txn-2', 'select');
+  await store.advanceLifecycle('txn-2', 'on_select');
+  await store.revertLifecycle('txn-2', 'select', raced);
+  assert.equal(store.stored('txn-2').lifecycle_state, 'quoted');
+
+  await store.revertLifecycle('txn-1', 'on_search', { from: 'searched', to: 'searched' });
+  await store.revertLifecycle('txn-1', 'init', { from: 'searched', error: 'Cannot init a transaction that is searched' });
+  assert.equal(store.stored().lifecycle_history.length, 2);
+});
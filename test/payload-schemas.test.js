@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload } = require('../payload-schemas');
+
+// Helper function to build a select payload the way server.js sends it
+function selectPayload(domain = 'ONDC:TRV14', order = {}) {
+  return {
+    context: {
+      domain,
+      location: { country: { code: 'IND' }, city: { code: 'std:080' } },
+      action: 'select',
+      version: '2.0.0',
+      bap_id: 'bap.example.com',
+      bap_uri: 'https://bap.example.com/bapl',
+      bpp_id: 'bpp.example.com',
+      bpp_uri: 'https://bpp.example.com',
+      transaction_id: 'txn-1',
+      message_id: 'msg-1',
+      timestamp: new Date().toISOString(),
+      ttl: 'PT30S',
+    },
+    message: {
+      order: {
+        provider: { id: 'P1' },
+        items: [{ id: 'I1', quantity: { selected: { count: 1 } } }],
+        ...order,
+      },
+    },
+  };
+}
+
+test('validatePayload accepts a valid payload', () => {
+  assert.deepEqual(validatePayload('select', selectPayload()), []);
+});
+
+test('validatePayload reports missing fields by their path', () => {
+  const payload = selectPayload();
+  delete payload.context.bpp_uri;
+  payload.message.order.provider = {};
+  assert.deepEqual(validatePayload('select', payload), [
+    { field: 'context.bpp_uri', message: "must have required property 'bpp_uri'" },
+    { field: 'message.order.provider.id', message: "must have required property 'id'" },
+  ]);
+});
+
+test('validatePayload reports invalid values, naming array items by their index', () => {
+  const payload = selectPayload('ONDC:TRV14', { items: [] });
+  payload.context.action = 'init';
+  payload.context.timestamp = 'yesterday';
+  assert.deepEqual(validatePayload('select', payload), [
+    { field: 'context.timestamp', message: 'must match format "date-time"' },
+    { field: 'context.action', message: 'must be equal to constant' },
+    { field: 'message.order.items', message: 'must NOT have fewer than 1 items' },
+  ]);
+});
+
+test('validatePayload adds the rules of the context domain to the base action schema', () => {
+  const items = [{ id: 'I1' }];
+  assert.deepEqual(validatePayload('select', selectPayload('ONDC:TRV14', { items })), [
+    { field: 'message.order.items[0].quantity', message: "must have required property 'quantity'" },
+  ]);
+  assert.deepEqual(validatePayload('select', selectPayload('ONDC:RET10', { items })), []);
+});
+
+test('validatePayload lets actions without a schema through', () => {
+  assert.deepEqual(validatePayload('on_unknown', {}), []);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createAuthorizationHeader } = require('ondc-crypto-sdk-nodejs');
+const { parseAuthorizationHeader, checkSignatureWindow, verifySignature } = require('../signatures');
+
+const CLOCK_SKEW_MS = 30 * 1000;
+
+// A test subscriber's key pair, as base64 raw keys the way they are registered with ONDC
+// (the private key is libsodium's 64-byte seed + public key)
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+const rawSeed = Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url');
+const SIGNING_PUBLIC_KEY = rawPublicKey.toString('base64');
+const SIGNING_PRIVATE_KEY = Buffer.concat([rawSeed, rawPublicKey]).toString('base64');
+
+const body = JSON.stringify({ context: { action: 'on_search', transaction_id: 'txn-1' }, message: {} });
+
+// Helper function to sign a body the way a BPP does, with the ONDC SDK
+async function signedHeader(signedBody, window = {}) {
+  const header = await createAuthorizationHeader({
+    body: signedBody,
+    privateKey: SIGNING_PRIVATE_KEY,
+    subscriberId: 'bpp.example.com',
+    subscriberUniqueKeyId: 'k1',
+    ...window,
+  });
+  return parseAuthorizationHeader(header);
+}
+
+test('parseAuthorizationHeader splits the header and its keyId', () => {
+  const authParams = parseAuthorizationHeader(
+    'Signature keyId="bpp.example.com|k1|ed25519",algorithm="ed25519",created="1700000000",expires="1700003600",headers="(created) (expires) digest",signature="c2ln"'
+  );
+  assert.equal(authParams.subscriberId, 'bpp.example.com');
+  assert.equal(authParams.uniqueKeyId, 'k1');
+  assert.equal(authParams.algorithm, 'ed25519');
+  assert.equal(authParams.created, '1700000000');
+  assert.equal(authParams.expires, '1700003600');
+  assert.equal(authParams.signature, 'c2ln');
+});
+
+test('verifySignature accepts a body signed with the ONDC SDK', async () => {
+  const authParams = await signedHeader(body);
+  assert.equal(checkSignatureWindow(authParams, CLOCK_SKEW_MS), null);
+  assert.equal(verifySignature(authParams, Buffer.from(body), SIGNING_PUBLIC_KEY), true);
+});
+
+test('verifySignature rejects a tampered body, another key or a garbled signature', async () => {
+  const authParams = await signedHeader(body);
+  assert.equal(verifySignature(authParams, Buffer.from(body.replace('txn-1', 'txn-2')), SIGNING_PUBLIC_KEY), false);
+  assert.equal(verifySignature(authParams, Buffer.from(`${body} `), SIGNING_PUBLIC_KEY), false);
+
+  const otherKey = crypto.generateKeyPairSync('ed25519').publicKey.export({ format: 'jwk' }).x;
+  assert.equal(verifySignature(authParams, Buffer.from(body), Buffer.from(otherKey, 'base64url').toString('base64')), false);
+  assert.equal(verifySignature({ ...authParams, signature: 'not a signature' }, Buffer.from(body), SIGNING_PUBLIC_KEY), false);
+  assert.equal(verifySignature({ ...authParams, expires: String(Number(authParams.expires) + 60) }, Buffer.from(body), SIGNING_PUBLIC_KEY), false);
+});
+
+test('checkSignatureWindow rejects expired and future signatures beyond the clock skew', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const expired = await signedHeader(body, { created: String(now - 3600), expires: String(now - 60) });
+  assert.match(checkSignatureWindow(expired, CLOCK_SKEW_MS), /^Authorization header expired at /);
+
+  const future = await signedHeader(body, { created: String(now + 120), expires: String(now + 3600) });
+  assert.match(checkSignatureWindow(future, CLOCK_SKEW_MS), /^Authorization header created in the future /);
+
+  const drifted = await signedHeader(body, { created: String(now + 10), expires: String(now + 3600) });
+  assert.equal(checkSignatureWindow(drifted, CLOCK_SKEW_MS), null);
+});
+
+test('checkSignatureWindow rejects malformed headers', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const valid = { algorithm: 'ed25519', headers: '(created) (expires) digest', created: String(now), expires: String(now + 60) };
+  assert.equal(checkSignatureWindow(valid, CLOCK_SKEW_MS), null);
+  assert.equal(
+    checkSignatureWindow({ ...valid, algorithm: 'rsa' }, CLOCK_SKEW_MS),
+    'Authorization header must be an ed25519 signature over (created) (expires) digest'
+  );
+  assert.equal(
+    checkSignatureWindow({ ...valid, headers: '(created) digest' }, CLOCK_SKEW_MS),
+    'Authorization header must be an ed25519 signature over (created) (expires) digest'
+  );
+  assert.equal(checkSignatureWindow({ ...valid, created: 'yesterday' }, CLOCK_SKEW_MS), 'Authorization header must carry numeric created and expires');
+  assert.equal(checkSignatureWindow({ ...valid, expires: undefined }, CLOCK_SKEW_MS), 'Authorization header must carry numeric created and expires');
+  assert.equal(checkSignatureWindow({ ...valid, expires: valid.created }, CLOCK_SKEW_MS), 'Authorization header expires before it was created');
+  assert.equal(checkSignatureWindow(parseAuthorizationHeader('Bearer abc'), CLOCK_SKEW_MS), 'Authorization header must be an ed25519 signature over (created) (expires) digest');
+});